@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+import { logger } from '../utils/logger.js';
+
+// Commands are imported only after the log level is set: loading the
+// configuration logs, and that line must not end up in --json output
+async function loadCommands() {
+  const [{ reextractCommand }, { scrapeCommand }, { searchCommand }, { validateCommand }] = await Promise.all([
+    import('./reextract-command.js'),
+    import('./scrape-command.js'),
+    import('./search-command.js'),
+    import('./validate-command.js')
+  ]);
+
+  return {
+    reextract: reextractCommand,
+    scrape: scrapeCommand,
+    search: searchCommand,
+    validate: validateCommand
+  };
+}
+
+function printUsage(commands) {
+  console.log(`Usage: node src/cli/index.js <command> [options]
+
+Commands:
+${Object.entries(commands).map(([name, command]) => `  ${name.padEnd(10)} ${command.description}`).join('\n')}
+
+Run a command with --help for its options.`);
+}
+
+async function main(argv) {
+  const [commandName, ...args] = argv;
+
+  // Keep command output readable; --verbose brings the normal logs back
+  if (!args.includes('--verbose')) {
+    logger.level = 'warn';
+  }
+
+  const commands = await loadCommands();
+  const command = commands[commandName];
+
+  if (!command) {
+    printUsage(commands);
+    return commandName ? 1 : 0;
+  }
+
+  return await command.run(args.filter(arg => arg !== '--verbose'));
+}
+
+main(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    logger.error(`Command failed: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,95 @@
+import { parseArgs } from 'util';
+import { config } from '../config/config.js';
+import { InterviewScraper } from '../scraper/interview-scraper.js';
+import { SnapshotArchive } from '../scraper/snapshot-archive.js';
+import { readCorpusFile, writeCorpusFile, mergeScrapedInterviews } from '../scraper/corpus-updater.js';
+
+const usage = `Usage: npm run reextract -- [options]
+
+Rebuilds interview entries from the raw HTML in the snapshot archive
+(SCRAPER_ARCHIVE_DIR) with the current extraction code and site rules, without
+any network access. The latest snapshot of every interview page is merged into
+INTERVIEWS_FILE_PATH by URL; entries marked "curated": true are never overwritten.
+Entries whose extracted text and metadata are unchanged are left as they are,
+and the corpus is only written when something changed.
+
+Options:
+  --archive <dir>   Snapshot archive to read (default: SCRAPER_ARCHIVE_DIR)
+  --dry-run         Extract but do not write the corpus
+  --output <path>   Corpus file to update (default: INTERVIEWS_FILE_PATH)
+  -h, --help        Show this help`;
+
+async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      archive: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      output: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  const scraperConfig = config.getScraperConfig();
+  const archiveDir = values.archive || scraperConfig.archiveDir;
+  if (!archiveDir) {
+    console.error('No snapshot archive configured; set SCRAPER_ARCHIVE_DIR or pass --archive');
+    return 1;
+  }
+
+  const archive = new SnapshotArchive({ archiveDir });
+  const snapshots = await archive.getLatestSnapshots('interview');
+  if (snapshots.length === 0) {
+    console.error(`No interview snapshots in ${archiveDir}; run npm run scrape first`);
+    return 1;
+  }
+
+  // Only the extraction side of the scraper is used; nothing is fetched
+  const scraper = new InterviewScraper({ ...scraperConfig, fetcher: 'http', archiveDir: null });
+  await scraper.loadSiteRules();
+
+  const extracted = [];
+  const failed = [];
+  for (const snapshot of snapshots) {
+    // Snapshots recorded before requestedUrl was kept only have the canonical key
+    const url = snapshot.requestedUrl || snapshot.url;
+    try {
+      const html = await archive.readBody(snapshot.contentHash);
+      extracted.push(scraper.parseInterviewPage(url, html, snapshot.fetchedAt));
+    } catch (error) {
+      failed.push({ url, error: error.message });
+    }
+  }
+
+  const corpusPath = values.output || config.getDataConfig().interviewsFilePath;
+  const corpus = await readCorpusFile(corpusPath);
+  const { entries, added, updated, unchanged, skipped } = mergeScrapedInterviews(corpus.entries, extracted);
+
+  added.forEach(url => console.log(`  added    ${url}`));
+  updated.forEach(url => console.log(`  updated  ${url}`));
+  skipped.forEach(url => console.log(`  curated  ${url}`));
+  failed.forEach(({ url, error }) => console.log(`  failed   ${url}\n           ${error}`));
+
+  if (!values['dry-run'] && (added.length > 0 || updated.length > 0)) {
+    await writeCorpusFile(corpusPath, corpus, entries);
+  }
+
+  const modified = added.length > 0 || updated.length > 0;
+  console.log(`\n${snapshots.length} snapshots, ${added.length} added, ${updated.length} updated, ` +
+    `${unchanged.length} unchanged, ${skipped.length} curated, ${failed.length} failed` +
+    `${values['dry-run'] ? ' (dry run, nothing written)' : modified ? ` -> ${corpusPath}` : ' (no changes)'}`);
+
+  return failed.length > 0 ? 1 : 0;
+}
+
+const reextractCommand = {
+  description: 'Rebuild interviews from the snapshot archive without network access',
+  run
+};
+
+export { reextractCommand };
@@ -0,0 +1,112 @@
+import { parseArgs } from 'util';
+import { config } from '../config/config.js';
+import { InterviewScraper } from '../scraper/interview-scraper.js';
+import { readCorpusFile, writeCorpusFile, getKnownUrls, mergeScrapedInterviews, applyChangeChecks } from '../scraper/corpus-updater.js';
+
+const usage = `Usage: npm run scrape -- [options]
+
+Discovers interview URLs on SCRAPER_BASE_URL, scrapes the ones not yet in the
+corpus and merges them into INTERVIEWS_FILE_PATH by URL with a scrapedAt
+timestamp. Entries marked "curated": true are never overwritten.
+
+With --refresh, scraped interviews already in the corpus are fetched again
+(with their ETag and Last-Modified, when known). Edited pages get the new text and a
+"change" record with a paragraph diff; pages that now return 404 or 410 are
+marked "retiredAt" and no longer used.
+
+Pages disallowed by robots.txt are skipped. Exits with status 1 when any
+other page failed to scrape.
+
+Options:
+  -n, --limit <n>   Scrape at most n new interviews
+  --fetcher <name>  puppeteer or http (default: SCRAPER_FETCHER)
+  --refresh         Also check existing interviews for edits and removals
+  --dry-run         Scrape but do not write the corpus
+  --output <path>   Corpus file to update (default: INTERVIEWS_FILE_PATH)
+  -h, --help        Show this help`;
+
+async function run(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      limit: { type: 'string', short: 'n' },
+      fetcher: { type: 'string' },
+      refresh: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      output: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  const limit = values.limit === undefined ? undefined : parseInt(values.limit, 10);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    console.error(`--limit must be a positive integer, got "${values.limit}"`);
+    return 1;
+  }
+
+  const corpusPath = values.output || config.getDataConfig().interviewsFilePath;
+  const corpus = await readCorpusFile(corpusPath);
+
+  const scraperConfig = config.getScraperConfig();
+  const scraper = new InterviewScraper({ ...scraperConfig, fetcher: values.fetcher || scraperConfig.fetcher });
+  const startedAt = Date.now();
+  let outcome;
+  let refresh = null;
+  try {
+    await scraper.init();
+    outcome = await scraper.scrapeNewInterviews(getKnownUrls(corpus.entries), { limit });
+    if (values.refresh) {
+      refresh = await scraper.checkForChanges(corpus.entries);
+    }
+  } finally {
+    await scraper.close();
+  }
+
+  const merged = mergeScrapedInterviews(corpus.entries, outcome.scraped);
+  const { added, updated, skipped } = merged;
+  const checked = refresh
+    ? applyChangeChecks(merged.entries, refresh.checks)
+    : { entries: merged.entries, changed: [], retired: [], unchanged: [], revalidated: [] };
+  const { entries, changed, retired, revalidated } = checked;
+
+  added.forEach(url => console.log(`  added    ${url}`));
+  updated.forEach(url => console.log(`  updated  ${url}`));
+  skipped.forEach(url => console.log(`  curated  ${url}`));
+  changed.forEach(({ url, diff }) => console.log(`  changed  ${url}\n${diff.replace(/^/gm, '           ')}`));
+  retired.forEach(({ url, httpStatus }) => console.log(`  retired  ${url} (HTTP ${httpStatus})`));
+
+  const failures = [...outcome.failed, ...(refresh ? refresh.failed : [])];
+  failures.forEach(({ url, error, code }) =>
+    console.log(`  ${code === 'robots-disallowed' ? 'blocked ' : 'failed  '} ${url}\n           ${error}`));
+
+  const modified = [added, updated, changed, retired, revalidated].some(list => list.length > 0);
+  if (!values['dry-run'] && modified) {
+    await writeCorpusFile(corpusPath, corpus, entries);
+  }
+
+  // The request counts are cumulative, so the last summary covers the whole run
+  const summary = refresh ? refresh.summary : outcome.summary;
+  const blocked = failures.filter(({ code }) => code === 'robots-disallowed').length;
+  const failed = failures.length - blocked;
+  console.log(`\n${outcome.discovered} discovered, ${added.length} added, ${updated.length} updated, ` +
+    `${skipped.length} curated, ${failed} failed, ${blocked} blocked by robots.txt`);
+  if (refresh) {
+    console.log(`${refresh.summary.attempted} checked, ${changed.length} changed, ${retired.length} retired, ${checked.unchanged.length} unchanged`);
+  }
+  console.log(`${summary.requests} requests, ${summary.retries} retries in ${((Date.now() - startedAt) / 1000).toFixed(1)}s` +
+    `${values['dry-run'] ? ' (dry run, nothing written)' : modified ? ` -> ${corpusPath}` : ' (no changes)'}`);
+
+  return failed > 0 ? 1 : 0;
+}
+
+const scrapeCommand = {
+  description: 'Scrape new interviews and merge them into the corpus',
+  run
+};
+
+export { scrapeCommand };
@@ -0,0 +1,76 @@
+import { parseArgs } from 'util';
+import { config } from '../config/config.js';
+import { InterviewReader } from '../services/interview-reader.js';
+
+const usage = `Usage: npm run search -- [options] <query>
+
+Query syntax:
+  black "brutal world"        all words and phrases (AND is implicit)
+  paris OR milan              either
+  furniture -concrete         exclude (also NOT concrete)
+  (paris OR milan) AND lamy   grouping
+
+Options:
+  -n, --limit <n>   Number of results to show (default 10)
+  --json            Print results as JSON
+  -h, --help        Show this help`;
+
+async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      limit: { type: 'string', short: 'n', default: '10' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const query = positionals.join(' ').trim();
+  if (values.help || !query) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+
+  const limit = parseInt(values.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error(`--limit must be a positive integer, got "${values.limit}"`);
+    return 1;
+  }
+
+  const interviewReader = new InterviewReader(config.getDataConfig());
+  const { total, results } = await interviewReader.search(query, { limit });
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      query,
+      total,
+      results: results.map(({ interview, score, matches, snippets }) => ({
+        id: interview.id,
+        title: interview.title,
+        url: interview.url,
+        score,
+        matches,
+        snippets
+      }))
+    }, null, 2));
+    return 0;
+  }
+
+  console.log(`Found ${total} interview${total === 1 ? '' : 's'} for ${query}\n`);
+  for (const { interview, score, matches, snippets } of results) {
+    console.log(`${interview.title} (${interview.id}, score ${score}, ${matches} matches)`);
+    console.log(`  ${interview.url}`);
+    snippets.forEach(snippet => console.log(`  ${snippet}`));
+    console.log('');
+  }
+
+  return 0;
+}
+
+const searchCommand = {
+  description: 'Full-text search over the interview corpus',
+  run
+};
+
+export { searchCommand };
@@ -0,0 +1,72 @@
+import { parseArgs } from 'util';
+import { config } from '../config/config.js';
+import { validateCorpus } from '../services/corpus-validator.js';
+
+const usage = `Usage: npm run validate -- [options] [source...]
+
+Checks the interview sources (default: INTERVIEW_SOURCES or INTERVIEWS_FILE_PATH)
+against the interview schema. Every rejected entry is reported as an error with
+its index and reason; suspicious content (cookie banners, repeated boilerplate,
+HTML, truncated text) is reported as a warning.
+
+Exits with status 1 when there are errors.
+
+Options:
+  --strict          Treat warnings as errors
+  --quiet           Only print errors and the summary
+  --json            Print the report as JSON
+  -h, --help        Show this help`;
+
+async function run(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      strict: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  const dataConfig = config.getDataConfig();
+  const sources = positionals.length > 0
+    ? positionals
+    : (dataConfig.interviewSources.length > 0 ? dataConfig.interviewSources : [dataConfig.interviewsFilePath]);
+
+  const report = await validateCorpus(sources);
+  const { summary } = report;
+  const failed = summary.errors > 0 || (values.strict && summary.warnings > 0);
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  for (const { source, schemaVersion, entries } of report.sources) {
+    console.log(`${source} (${schemaVersion ? `schema v${schemaVersion}, ` : ''}${entries} entries)`);
+
+    report.issues
+      .filter(issue => issue.source === source)
+      .filter(issue => !values.quiet || issue.severity === 'error')
+      .forEach(({ index, url, severity, code, message }) => {
+        const position = index === null ? 'file' : `#${index}`;
+        console.log(`  ${severity.padEnd(8)}${position.padEnd(6)}${code.padEnd(19)}${url ? `${url}\n${' '.repeat(33)}` : ''}${message}`);
+      });
+  }
+
+  console.log(`\n${summary.entries} entries, ${summary.valid} valid, ${summary.errors} errors, ${summary.warnings} warnings`);
+  return failed ? 1 : 0;
+}
+
+const validateCommand = {
+  description: 'Check the interview corpus against the schema and flag suspicious content',
+  run
+};
+
+export { validateCommand };
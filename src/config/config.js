@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import Joi from 'joi';
 import os from 'os';
 import { logger } from '../utils/logger.js';
+import { loadPersona } from './persona.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,6 +13,9 @@ const configSchema = Joi.object({
   NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly').default('info'),
 
+  // Persona Configuration
+  PERSONA: Joi.string().default('rick-owens').description('Subject persona: a profile name from data/personas or a path to a profile JSON file'),
+
   // AI Provider Configuration
   AI_PROVIDER: Joi.string().valid('openai', 'anthropic', 'gemini', 'ollama', 'transformers').default('openai').description('AI provider to use'),
 
@@ -20,42 +24,92 @@ const configSchema = Joi.object({
   AI_PROVIDER_MACOS: Joi.string().valid('', 'openai', 'anthropic', 'gemini', 'ollama', 'transformers').optional().description('AI provider to use on macOS (overrides AI_PROVIDER)'),
   AI_PROVIDER_LINUX: Joi.string().valid('', 'openai', 'anthropic', 'gemini', 'ollama', 'transformers').optional().description('AI provider to use on Linux (overrides AI_PROVIDER)'),
 
+  // Fallback chain (optional): providers tried in order until one returns a quote
+  AI_PROVIDERS: Joi.string().allow('').optional()
+    .pattern(/^\s*(openai|anthropic|gemini|ollama|transformers)\s*(,\s*(openai|anthropic|gemini|ollama|transformers)\s*)*$/)
+    .messages({ 'string.pattern.base': '"AI_PROVIDERS" must be a comma-separated list of openai, anthropic, gemini, ollama and transformers' })
+    .description('Comma-separated AI providers tried in order (overrides AI_PROVIDER and the platform settings)'),
+
   // OpenAI Configuration
   OPENAI_API_KEY: Joi.string().optional().description('OpenAI API key'),
   OPENAI_MODEL: Joi.string().default('gpt-4o-mini').description('OpenAI model to use'),
+  OPENAI_TIMEOUT_MS: Joi.number().integer().min(1000).default(60000).description('Timeout for one OpenAI request'),
 
   // Anthropic Configuration
   ANTHROPIC_API_KEY: Joi.string().optional().description('Anthropic API key'),
   ANTHROPIC_MODEL: Joi.string().default('claude-3-5-haiku-20241022').description('Anthropic model to use'),
+  ANTHROPIC_TIMEOUT_MS: Joi.number().integer().min(1000).default(60000).description('Timeout for one Anthropic request'),
 
   // Gemini Configuration
   GEMINI_API_KEY: Joi.string().optional().description('Gemini API key'),
   GEMINI_MODEL: Joi.string().default('gemini-1.5-flash').description('Gemini model to use'),
+  GEMINI_TIMEOUT_MS: Joi.number().integer().min(1000).default(60000).description('Timeout for one Gemini request'),
 
   // Ollama Configuration
   OLLAMA_BASE_URL: Joi.string().default('http://localhost:11434/v1').description('Ollama server base URL'),
   OLLAMA_MODEL: Joi.string().default('qwen2.5:1.5b').description('Ollama model to use'),
+  OLLAMA_TIMEOUT_MS: Joi.number().integer().min(1000).default(120000).description('Timeout for one Ollama request (local models are slower)'),
 
   // Transformers.js Configuration
   TRANSFORMERS_MODEL: Joi.string().default('Xenova/LaMini-Flan-T5-248M').description('Transformers.js model to use'),
+  TRANSFORMERS_TIMEOUT_MS: Joi.number().integer().min(1000).default(300000).description('Timeout for one Transformers.js run (the first run downloads the model)'),
 
   // Common AI Configuration
   AI_MAX_TOKENS: Joi.number().integer().min(100).max(2000).default(500),
   AI_TEMPERATURE: Joi.number().min(0).max(2).default(0.7),
+  QUOTE_COUNT: Joi.number().integer().min(1).max(10).default(1).description('Quotes per email: a lead quote plus supporting ones'),
+  PROMPTS_DIR: Joi.string().default('./data/prompts').description('Directory of versioned prompt templates'),
+  PROMPT_VERSION: Joi.string().default('v1').description('Prompt template version to use (a subdirectory of PROMPTS_DIR)'),
+  AI_MAX_RETRIES: Joi.number().integer().min(0).max(10).default(3).description('Retries for AI timeouts, rate limits and server errors'),
+  AI_RETRY_BASE_DELAY_MS: Joi.number().integer().min(0).default(1000).description('First retry delay for AI requests, doubled on each retry'),
+  AI_CONTEXT_TOKENS: Joi.number().integer().min(512).optional().description('Context window of the AI model in tokens (defaults per provider)'),
+  AI_CHUNK_OVERLAP_TOKENS: Joi.number().integer().min(0).max(2000).default(100).description('Tokens repeated between consecutive interview chunks'),
+  QUOTE_MATCH_THRESHOLD: Joi.number().min(0.5).max(1).default(0.85).description('How closely a quote must match the interview text to be sent'),
 
   // Email Configuration
-  EMAIL_HOST: Joi.string().required().description('SMTP host for sending emails'),
+  // Required for sending, checked in getEmailConfig() so the data commands run without them
+  EMAIL_HOST: Joi.string().optional().description('SMTP host for sending emails'),
   EMAIL_PORT: Joi.number().integer().min(1).max(65535).default(587),
   EMAIL_SECURE: Joi.boolean().default(false).description('Use TLS for email'),
-  EMAIL_USER: Joi.string().email().required().description('Email username'),
-  EMAIL_PASSWORD: Joi.string().required().description('Email password or app password'),
+  EMAIL_USER: Joi.string().email().optional().description('Email username'),
+  EMAIL_PASSWORD: Joi.string().optional().description('Email password or app password'),
   EMAIL_FROM: Joi.string().optional().description('From email address with optional display name (defaults to EMAIL_USER)'),
 
   // Recipients Configuration
-  EMAIL_RECIPIENTS: Joi.string().required().description('Comma-separated list of email recipients'),
+  EMAIL_RECIPIENTS: Joi.string().optional().description('Comma-separated list of email recipients'),
 
   // Data Configuration
   INTERVIEWS_FILE_PATH: Joi.string().default('./data/interviews.json').description('Path to interviews JSON file'),
+  INTERVIEWS_WATCH: Joi.boolean().default(true).description('Hot-reload interview sources when they change (scheduled mode only)'),
+  INTERVIEW_SOURCES: Joi.string().allow('').optional().description('Comma-separated interview sources (.json, .jsonl, .csv files or Markdown folders); overrides INTERVIEWS_FILE_PATH'),
+
+  // Interview Selection Configuration
+  SELECTION_STRATEGY: Joi.string().valid('random', 'lru', 'round-robin', 'weighted', 'seeded').default('random').description('How the next interview is picked'),
+  SELECTION_WEIGHT_BY: Joi.string().valid('length', 'source').default('length').description('What the weighted strategy weights by'),
+  SELECTION_SOURCE_WEIGHTS: Joi.string().allow('').optional().description('Comma-separated source:weight pairs for weighting by source'),
+  SELECTION_SEED: Joi.string().default('owensquote').description('Seed for the seeded strategy'),
+  SELECTION_DATE: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('').optional().description('Day (YYYY-MM-DD) to reproduce with the seeded strategy'),
+
+  // Send History Configuration
+  SEND_HISTORY_FILE_PATH: Joi.string().default('./data/send-history.json').description('Path to the send history JSON file'),
+  SEND_HISTORY_COOLDOWN_DAYS: Joi.number().integer().min(0).default(30).description('Days before an interview or quote may be sent again'),
+
+  // Scraper Configuration
+  SCRAPER_BASE_URL: Joi.string().uri().allow('').optional().description("Interview listing page to scrape; default: the persona's listing page"),
+  SCRAPER_FETCHER: Joi.string().valid('puppeteer', 'http').default('puppeteer').description('Page fetcher: headless browser or plain HTTP'),
+  SCRAPER_HEADLESS: Joi.boolean().default(true).description('Run the scraping browser headless'),
+  SCRAPER_INCLUDE: Joi.string().allow('').optional().description('Comma-separated URL patterns (* wildcard) an interview URL must match; default: below SCRAPER_BASE_URL'),
+  SCRAPER_EXCLUDE: Joi.string().allow('').optional().description('Comma-separated URL patterns (* wildcard) never treated as interviews'),
+  SCRAPER_MAX_PAGES: Joi.number().integer().min(1).default(50).description('Maximum listing pages to follow'),
+  SCRAPER_SITEMAP: Joi.boolean().default(true).description('Also discover interviews from the sitemap'),
+  SCRAPER_SITEMAP_URL: Joi.string().uri().allow('').optional().description('Sitemap to read; default: /sitemap.xml on the listing host'),
+  SCRAPER_CONCURRENCY: Joi.number().integer().min(1).max(20).default(3).description('Interview pages scraped at once'),
+  SCRAPER_REQUEST_DELAY_MS: Joi.number().integer().min(0).default(1000).description('Minimum time between requests to one host'),
+  SCRAPER_MAX_RETRIES: Joi.number().integer().min(0).max(10).default(3).description('Retries for timeouts, 429 and 5xx responses'),
+  SCRAPER_RESPECT_ROBOTS: Joi.boolean().default(true).description('Skip pages disallowed by robots.txt'),
+  SCRAPER_SITE_RULES_FILE: Joi.string().default('./data/site-rules.json').description('Per-domain title, body and date selectors for extraction'),
+  SCRAPER_ARCHIVE_DIR: Joi.string().allow('').default('./data/snapshots').description('Raw HTML snapshot archive; empty to disable'),
+  SCRAPER_TIMEOUT_MS: Joi.number().integer().min(1000).default(30000).description('Page load timeout for scraping'),
 
   // Scheduling Configuration
   CRON_SCHEDULE: Joi.string().default('0 9 * * *').description('Cron schedule for automated runs'),
@@ -82,8 +136,11 @@ class Config {
 
     this.validated = value;
 
-    // Additional validation for platform-specific provider requirements
-    this.validatePlatformSpecificRequirements();
+    // Email and AI provider settings are checked when first used, so the
+    // corpus and scraper commands work with only the data settings
+
+    // The persona profile is read once; a broken one stops startup here
+    this.persona = loadPersona(this.validated.PERSONA);
 
     this.isValid = true;
     logger.info('Configuration validated successfully');
@@ -108,30 +165,36 @@ class Config {
         platformProvider = null;
     }
 
-    const provider = (platformProvider && platformProvider.trim() !== '') ? platformProvider : this.validated.AI_PROVIDER;
+    const effectiveProvider = (platformProvider && platformProvider.trim() !== '') ? platformProvider : this.validated.AI_PROVIDER;
     const issues = [];
 
-    // Check if API key is required and present for the selected provider
-    switch (provider) {
-      case 'openai':
-        if (!this.validated.OPENAI_API_KEY) {
-          issues.push('OPENAI_API_KEY is required when using OpenAI provider');
-        }
-        break;
-      case 'anthropic':
-        if (!this.validated.ANTHROPIC_API_KEY) {
-          issues.push('ANTHROPIC_API_KEY is required when using Anthropic provider');
-        }
-        break;
-      case 'gemini':
-        if (!this.validated.GEMINI_API_KEY) {
-          issues.push('GEMINI_API_KEY is required when using Gemini provider');
-        }
-        break;
-      case 'ollama':
-      case 'transformers':
-        // No API key required
-        break;
+    // A fallback chain replaces the single provider; every provider in it needs its key
+    const chain = this.parseList(this.validated.AI_PROVIDERS);
+    const providers = chain.length > 0 ? [...new Set(chain)] : [effectiveProvider];
+
+    // Check if API key is required and present for each selected provider
+    for (const provider of providers) {
+      switch (provider) {
+        case 'openai':
+          if (!this.validated.OPENAI_API_KEY) {
+            issues.push('OPENAI_API_KEY is required when using OpenAI provider');
+          }
+          break;
+        case 'anthropic':
+          if (!this.validated.ANTHROPIC_API_KEY) {
+            issues.push('ANTHROPIC_API_KEY is required when using Anthropic provider');
+          }
+          break;
+        case 'gemini':
+          if (!this.validated.GEMINI_API_KEY) {
+            issues.push('GEMINI_API_KEY is required when using Gemini provider');
+          }
+          break;
+        case 'ollama':
+        case 'transformers':
+          // No API key required
+          break;
+      }
     }
 
     if (issues.length > 0) {
@@ -140,6 +203,16 @@ class Config {
     }
   }
 
+  validateEmailRequirements() {
+    const missing = ['EMAIL_HOST', 'EMAIL_USER', 'EMAIL_PASSWORD', 'EMAIL_RECIPIENTS']
+      .filter(key => !this.get(key));
+
+    if (missing.length > 0) {
+      logger.error('Email configuration validation failed:', missing);
+      throw new Error(`Email configuration validation failed: ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required to send email`);
+    }
+  }
+
   get(key) {
     if (!this.isValid) {
       throw new Error('Configuration not validated');
@@ -173,12 +246,38 @@ class Config {
     return finalProvider;
   }
 
-  getAIConfig() {
-    const provider = this.getPlatformSpecificProvider();
+  getPersona() {
+    if (!this.isValid) {
+      throw new Error('Configuration not validated');
+    }
+    return this.persona;
+  }
+
+  // Providers tried in order: AI_PROVIDERS when set, otherwise the single
+  // platform-specific or default provider
+  getProviderChain() {
+    const chain = this.parseList(this.get('AI_PROVIDERS'));
+    return chain.length > 0 ? [...new Set(chain)] : [this.getPlatformSpecificProvider()];
+  }
+
+  getAIConfig(provider = this.getProviderChain()[0]) {
+    this.validatePlatformSpecificRequirements();
+
     const config = {
       provider,
       maxTokens: this.get('AI_MAX_TOKENS'),
-      temperature: this.get('AI_TEMPERATURE')
+      temperature: this.get('AI_TEMPERATURE'),
+      contextTokens: this.get('AI_CONTEXT_TOKENS'),
+      chunkOverlapTokens: this.get('AI_CHUNK_OVERLAP_TOKENS'),
+      quoteCount: this.get('QUOTE_COUNT'),
+      matchThreshold: this.get('QUOTE_MATCH_THRESHOLD'),
+      maxRetries: this.get('AI_MAX_RETRIES'),
+      retryBaseDelayMs: this.get('AI_RETRY_BASE_DELAY_MS'),
+      persona: this.getPersona(),
+      prompts: {
+        dir: this.get('PROMPTS_DIR'),
+        version: this.get('PROMPT_VERSION')
+      }
     };
 
     switch (provider) {
@@ -186,48 +285,63 @@ class Config {
         return {
           ...config,
           apiKey: this.get('OPENAI_API_KEY'),
-          model: this.get('OPENAI_MODEL')
+          model: this.get('OPENAI_MODEL'),
+          timeoutMs: this.get('OPENAI_TIMEOUT_MS')
         };
       case 'anthropic':
         return {
           ...config,
           apiKey: this.get('ANTHROPIC_API_KEY'),
-          model: this.get('ANTHROPIC_MODEL')
+          model: this.get('ANTHROPIC_MODEL'),
+          timeoutMs: this.get('ANTHROPIC_TIMEOUT_MS')
         };
       case 'gemini':
         return {
           ...config,
           apiKey: this.get('GEMINI_API_KEY'),
-          model: this.get('GEMINI_MODEL')
+          model: this.get('GEMINI_MODEL'),
+          timeoutMs: this.get('GEMINI_TIMEOUT_MS')
         };
       case 'ollama':
         return {
           ...config,
           baseURL: this.get('OLLAMA_BASE_URL'),
-          model: this.get('OLLAMA_MODEL')
+          model: this.get('OLLAMA_MODEL'),
+          timeoutMs: this.get('OLLAMA_TIMEOUT_MS')
         };
       case 'transformers':
         return {
           ...config,
-          model: this.get('TRANSFORMERS_MODEL')
+          model: this.get('TRANSFORMERS_MODEL'),
+          timeoutMs: this.get('TRANSFORMERS_TIMEOUT_MS')
         };
       default:
         throw new Error(`Unsupported AI provider: ${provider}`);
     }
   }
 
+  // One AI configuration per provider in the fallback chain
+  getAIConfigs() {
+    return this.getProviderChain().map(provider => this.getAIConfig(provider));
+  }
+
   getEmailConfig() {
+    this.validateEmailRequirements();
+
     return {
       host: this.get('EMAIL_HOST'),
       port: this.get('EMAIL_PORT'),
       secure: this.get('EMAIL_SECURE'),
       user: this.get('EMAIL_USER'),
       password: this.get('EMAIL_PASSWORD'),
-      from: this.get('EMAIL_FROM') || this.get('EMAIL_USER')
+      from: this.get('EMAIL_FROM') || this.get('EMAIL_USER'),
+      persona: this.getPersona()
     };
   }
 
   getEmailRecipients() {
+    this.validateEmailRequirements();
+
     const recipients = this.get('EMAIL_RECIPIENTS');
     return recipients
       .split(',')
@@ -237,10 +351,78 @@ class Config {
 
   getDataConfig() {
     return {
-      interviewsFilePath: this.get('INTERVIEWS_FILE_PATH')
+      interviewsFilePath: this.get('INTERVIEWS_FILE_PATH'),
+      interviewSources: (this.get('INTERVIEW_SOURCES') || '')
+        .split(',')
+        .map(source => source.trim())
+        .filter(source => source.length > 0),
+      watch: this.get('INTERVIEWS_WATCH'),
+      subjectName: this.getPersona().name,
+      selection: this.getSelectionConfig()
     };
   }
 
+  getSelectionConfig() {
+    return {
+      strategy: this.get('SELECTION_STRATEGY'),
+      weightBy: this.get('SELECTION_WEIGHT_BY'),
+      sourceWeights: this.parseSourceWeights(this.get('SELECTION_SOURCE_WEIGHTS')),
+      seed: this.get('SELECTION_SEED'),
+      date: this.get('SELECTION_DATE') || null
+    };
+  }
+
+  // Parse "vogue.com:2,rickowens.eu:1" into { 'vogue.com': 2, 'rickowens.eu': 1 }
+  parseSourceWeights(value) {
+    const weights = {};
+    (value || '').split(',')
+      .map(pair => pair.trim())
+      .filter(pair => pair.length > 0)
+      .forEach(pair => {
+        const separator = pair.lastIndexOf(':');
+        const weight = Number(pair.slice(separator + 1));
+        if (separator <= 0 || Number.isNaN(weight)) {
+          throw new Error(`Invalid SELECTION_SOURCE_WEIGHTS entry: ${pair}`);
+        }
+        weights[pair.slice(0, separator).trim()] = weight;
+      });
+    return weights;
+  }
+
+  getHistoryConfig() {
+    return {
+      historyFilePath: this.get('SEND_HISTORY_FILE_PATH'),
+      cooldownDays: this.get('SEND_HISTORY_COOLDOWN_DAYS')
+    };
+  }
+
+  getScraperConfig() {
+    return {
+      baseUrl: this.get('SCRAPER_BASE_URL') || this.getPersona().source.listingUrl || null,
+      fetcher: this.get('SCRAPER_FETCHER'),
+      headless: this.get('SCRAPER_HEADLESS'),
+      timeout: this.get('SCRAPER_TIMEOUT_MS'),
+      include: this.parseList(this.get('SCRAPER_INCLUDE')),
+      exclude: this.parseList(this.get('SCRAPER_EXCLUDE')),
+      maxPages: this.get('SCRAPER_MAX_PAGES'),
+      sitemap: this.get('SCRAPER_SITEMAP'),
+      sitemapUrl: this.get('SCRAPER_SITEMAP_URL') || null,
+      concurrency: this.get('SCRAPER_CONCURRENCY'),
+      requestDelayMs: this.get('SCRAPER_REQUEST_DELAY_MS'),
+      maxRetries: this.get('SCRAPER_MAX_RETRIES'),
+      respectRobots: this.get('SCRAPER_RESPECT_ROBOTS'),
+      siteRulesFile: this.get('SCRAPER_SITE_RULES_FILE'),
+      archiveDir: this.get('SCRAPER_ARCHIVE_DIR') || null
+    };
+  }
+
+  parseList(value) {
+    return (value || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  }
+
   getScheduleConfig() {
     return {
       cronSchedule: this.get('CRON_SCHEDULE'),
@@ -267,6 +449,7 @@ class Config {
     // Add platform information
     sanitized.CURRENT_PLATFORM = os.platform();
     sanitized.EFFECTIVE_AI_PROVIDER = this.getPlatformSpecificProvider();
+    sanitized.AI_PROVIDER_CHAIN = this.getProviderChain().join(',');
 
     // Remove sensitive information
     const sensitiveKeys = [
@@ -311,33 +494,34 @@ class Config {
   async validateConnections() {
     const issues = [];
 
-    // Validate API key formats based on provider
-    const provider = this.getPlatformSpecificProvider();
-    switch (provider) {
-      case 'openai':
-        const openaiKey = this.get('OPENAI_API_KEY');
-        if (openaiKey && !openaiKey.startsWith('sk-')) {
-          issues.push('OpenAI API key should start with "sk-"');
-        }
-        break;
-      case 'anthropic':
-        const anthropicKey = this.get('ANTHROPIC_API_KEY');
-        if (anthropicKey && !anthropicKey.startsWith('sk-ant-')) {
-          issues.push('Anthropic API key should start with "sk-ant-"');
-        }
-        break;
-      case 'gemini':
-        const geminiKey = this.get('GEMINI_API_KEY');
-        if (geminiKey && geminiKey.length < 20) {
-          issues.push('Gemini API key appears to be invalid');
-        }
-        break;
-      case 'ollama':
-        // No API key validation needed for Ollama
-        break;
-      case 'transformers':
-        // No API key validation needed for Transformers.js
-        break;
+    // Validate API key formats for every provider in use
+    for (const provider of this.getProviderChain()) {
+      switch (provider) {
+        case 'openai':
+          const openaiKey = this.get('OPENAI_API_KEY');
+          if (openaiKey && !openaiKey.startsWith('sk-')) {
+            issues.push('OpenAI API key should start with "sk-"');
+          }
+          break;
+        case 'anthropic':
+          const anthropicKey = this.get('ANTHROPIC_API_KEY');
+          if (anthropicKey && !anthropicKey.startsWith('sk-ant-')) {
+            issues.push('Anthropic API key should start with "sk-ant-"');
+          }
+          break;
+        case 'gemini':
+          const geminiKey = this.get('GEMINI_API_KEY');
+          if (geminiKey && geminiKey.length < 20) {
+            issues.push('Gemini API key appears to be invalid');
+          }
+          break;
+        case 'ollama':
+          // No API key validation needed for Ollama
+          break;
+        case 'transformers':
+          // No API key validation needed for Transformers.js
+          break;
+      }
     }
 
     // Validate email recipients format
@@ -369,6 +553,9 @@ class Config {
 NODE_ENV=development
 LOG_LEVEL=info
 
+# Persona: a profile name from data/personas or a path to a profile JSON file
+PERSONA=rick-owens
+
 # AI Provider Configuration
 # Choose one: 'openai', 'anthropic', 'gemini', 'ollama', or 'transformers'
 AI_PROVIDER=openai
@@ -379,28 +566,43 @@ AI_PROVIDER_WINDOWS=
 AI_PROVIDER_MACOS=
 AI_PROVIDER_LINUX=
 
+# Fallback chain (optional): providers tried in order, overrides the settings above
+# AI_PROVIDERS=openai,ollama,transformers
+
 # OpenAI Configuration (if using OpenAI)
 OPENAI_API_KEY=sk-your-openai-api-key-here
 OPENAI_MODEL=gpt-4o-mini
+OPENAI_TIMEOUT_MS=60000
 
 # Anthropic Configuration (if using Anthropic/Claude)
 ANTHROPIC_API_KEY=sk-ant-REDACTED
 ANTHROPIC_MODEL=claude-3-5-haiku-20241022
+ANTHROPIC_TIMEOUT_MS=60000
 
 # Gemini Configuration (if using Google Gemini)
 GEMINI_API_KEY=your-gemini-api-key-here
 GEMINI_MODEL=gemini-1.5-flash
+GEMINI_TIMEOUT_MS=60000
 
 # Ollama Configuration (if using local Ollama)
 OLLAMA_BASE_URL=http://localhost:11434/v1
 OLLAMA_MODEL=qwen2.5:1.5b
+OLLAMA_TIMEOUT_MS=120000
 
 # Transformers.js Configuration (if using local Transformers.js)
 TRANSFORMERS_MODEL=Xenova/LaMini-Flan-T5-248M
+TRANSFORMERS_TIMEOUT_MS=300000
 
 # Common AI Configuration
 AI_MAX_TOKENS=500
 AI_TEMPERATURE=0.7
+AI_MAX_RETRIES=3
+AI_RETRY_BASE_DELAY_MS=1000
+AI_CHUNK_OVERLAP_TOKENS=100
+QUOTE_COUNT=1
+QUOTE_MATCH_THRESHOLD=0.85
+PROMPTS_DIR=./data/prompts
+PROMPT_VERSION=v1
 
 # Email Configuration (Required)
 EMAIL_HOST=smtp.gmail.com
@@ -415,6 +617,38 @@ EMAIL_RECIPIENTS=recipient1@example.com,recipient2@example.com
 
 # Data Configuration (Optional)
 INTERVIEWS_FILE_PATH=./data/interviews.json
+INTERVIEW_SOURCES=
+INTERVIEWS_WATCH=true
+
+# Interview Selection Configuration (Optional)
+# Choose one: 'random', 'lru', 'round-robin', 'weighted', or 'seeded'
+SELECTION_STRATEGY=random
+SELECTION_WEIGHT_BY=length
+SELECTION_SOURCE_WEIGHTS=
+SELECTION_SEED=owensquote
+SELECTION_DATE=
+
+# Send History Configuration (Optional)
+SEND_HISTORY_FILE_PATH=./data/send-history.json
+SEND_HISTORY_COOLDOWN_DAYS=30
+
+# Scraper Configuration (Optional)
+# Defaults to the persona's listing page
+# SCRAPER_BASE_URL=https://www.rickowens.eu/en/US/interviews
+SCRAPER_FETCHER=puppeteer
+SCRAPER_HEADLESS=true
+SCRAPER_TIMEOUT_MS=30000
+SCRAPER_INCLUDE=
+SCRAPER_EXCLUDE=
+SCRAPER_MAX_PAGES=50
+SCRAPER_SITEMAP=true
+SCRAPER_SITEMAP_URL=
+SCRAPER_CONCURRENCY=3
+SCRAPER_REQUEST_DELAY_MS=1000
+SCRAPER_MAX_RETRIES=3
+SCRAPER_RESPECT_ROBOTS=true
+SCRAPER_SITE_RULES_FILE=./data/site-rules.json
+SCRAPER_ARCHIVE_DIR=./data/snapshots
 
 # Scheduling Configuration (Optional)
 CRON_SCHEDULE=0 9 * * *
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import Joi from 'joi';
+
+const PERSONAS_DIR = './data/personas';
+const DEFAULT_PERSONA = 'rick-owens';
+
+// Who the quotes are from and how the bot presents them:
+//
+//   {
+//     "name": "Rick Owens",
+//     "prompt": { "focus": "his philosophy, aesthetic vision, or unique perspective", "guidelines": ["..."] },
+//     "source": { "listingUrl": "https://www.rickowens.eu/en/US/interviews" },
+//     "branding": { "brand": "OWENSQUOTE", "attribution": "Rick Owens" }
+//   }
+const personaSchema = Joi.object({
+  name: Joi.string().trim().min(1).required(),
+  prompt: Joi.object({
+    focus: Joi.string().trim().min(1).default('their philosophy, vision, or unique perspective'),
+    guidelines: Joi.array().items(Joi.string().trim().min(1)).default([])
+  }).default(),
+  source: Joi.object({
+    listingUrl: Joi.string().uri().optional()
+  }).default(),
+  branding: Joi.object({
+    brand: Joi.string().trim().min(1).optional(),
+    attribution: Joi.string().trim().min(1).optional()
+  }).default()
+});
+
+// A profile name from data/personas, or a path to a profile JSON file
+function resolvePersonaPath(nameOrPath) {
+  return nameOrPath.endsWith('.json') || nameOrPath.includes('/') || nameOrPath.includes('\\')
+    ? nameOrPath
+    : path.join(PERSONAS_DIR, `${nameOrPath}.json`);
+}
+
+// Read synchronously so configuration stays synchronous; an unreadable or
+// invalid profile is an error because the whole pipeline depends on it
+function loadPersona(nameOrPath = DEFAULT_PERSONA) {
+  const filePath = resolvePersonaPath(nameOrPath);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read persona ${filePath}: ${error.message}`);
+  }
+
+  const { error, value } = personaSchema.validate(data);
+  if (error) {
+    throw new Error(`Invalid persona in ${filePath}: ${error.message}`);
+  }
+
+  // Branding falls back to the subject's name
+  return {
+    ...value,
+    branding: {
+      brand: value.branding.brand || value.name.toUpperCase(),
+      attribution: value.branding.attribution || value.name
+    }
+  };
+}
+
+export { loadPersona, DEFAULT_PERSONA };
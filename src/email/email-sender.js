@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer';
 import { logger } from '../utils/logger.js';
+import { loadPersona } from '../config/persona.js';
+import { escapeHtml } from '../utils/text-normalizer.js';
 
 class EmailSender {
   constructor(config) {
@@ -15,6 +17,7 @@ class EmailSender {
       ...config
     };
 
+    this.persona = config.persona || loadPersona();
     this.transporter = null;
     this.isConfigured = this.validateConfig();
   }
@@ -101,11 +104,12 @@ class EmailSender {
 
   buildEmailContent(quoteData) {
     const { quote, source, extractedAt } = quoteData;
+    const { name, branding: { brand } } = this.persona;
 
-    const subject = `Daily Rick Owens Quote - ${new Date().toLocaleDateString()}`;
+    const subject = `Daily ${name} Quote - ${new Date().toLocaleDateString()}`;
 
     const text = `
-Rick Owens Quote of the Day
+${name} Quote of the Day
 
 "${quote.toUpperCase()}"
 
@@ -113,7 +117,7 @@ Source: ${source.title}
 ${source.url}
 
 ---
-Sent by Rick Owens Quote Bot
+Sent by ${brand}
 ${new Date().toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
@@ -128,7 +132,7 @@ ${new Date().toLocaleDateString('en-US', {
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Rick Owens Quote</title>
+  <title>${escapeHtml(name)} Quote</title>
   <style>
     body {
       font-family: 'Helvetica Neue', Arial, sans-serif;
@@ -207,16 +211,16 @@ ${new Date().toLocaleDateString('en-US', {
 <body>
   <div class="container">
     <div class="header">
-      <h1>Rick Owens Quote</h1>
+      <h1>${escapeHtml(name)} Quote</h1>
     </div>
 
     <div class="quote">
-      ${quote.toUpperCase()}
+      ${escapeHtml(quote.toUpperCase())}
     </div>
 
     <div class="source">
-      <div class="source-title">${source.title}</div>
-      <a href="${source.url}" class="source-link" target="_blank">View Original Interview</a>
+      <div class="source-title">${escapeHtml(source.title)}</div>
+      <a href="${escapeHtml(source.url)}" class="source-link" target="_blank">View Original Interview</a>
     </div>
 
     <div class="footer">
@@ -227,7 +231,7 @@ ${new Date().toLocaleDateString('en-US', {
         day: 'numeric'
       })}</div>
       <div style="margin-top: 5px;">
-        Sent by Rick Owens Quote Bot
+        Sent by ${escapeHtml(brand)}
       </div>
     </div>
   </div>
@@ -4,12 +4,15 @@ import { CronJob } from 'cron';
 import { config } from './config/config.js';
 import { logger } from './utils/logger.js';
 import { InterviewReader } from './services/interview-reader.js';
-import { QuoteExtractor } from './quote-extractor/quote-extractor.js';
+import { SendHistory } from './services/send-history.js';
+import { ProviderChain } from './quote-extractor/provider-chain.js';
 import { EmailSender } from './email/email-sender.js';
+import { escapeHtml } from './utils/text-normalizer.js';
 
 class RickOwensQuoteBot {
   constructor() {
     this.interviewReader = null;
+    this.sendHistory = null;
     this.quoteExtractor = null;
     this.emailSender = null;
     this.isRunning = false;
@@ -26,9 +29,17 @@ class RickOwensQuoteBot {
       }
 
       // Initialize services
-      this.interviewReader = new InterviewReader(config.getDataConfig());
-      this.quoteExtractor = new QuoteExtractor(config.getAIConfig());
+      this.sendHistory = new SendHistory(config.getHistoryConfig());
+      await this.sendHistory.load();
+
+      this.interviewReader = new InterviewReader({
+        ...config.getDataConfig(),
+        history: this.sendHistory
+      });
+      this.quoteExtractor = new ProviderChain(config.getAIConfigs());
+      logger.info(`AI providers: ${this.quoteExtractor.providers.join(' -> ')}`);
       this.emailSender = new EmailSender(config.getEmailConfig());
+      this.persona = config.getPersona();
 
       logger.info('All services initialized successfully');
 
@@ -55,9 +66,9 @@ class RickOwensQuoteBot {
     try {
       logger.info('Starting quote processing...');
 
-      // Step 1: Get a random interview from JSON data
-      logger.info('Loading random interview from data...');
-      const interview = await this.interviewReader.getRandomInterview();
+      // Step 1: Select an interview from JSON data
+      logger.info('Selecting interview from data...');
+      const interview = await this.interviewReader.selectInterview();
 
       if (!interview || !interview.content) {
         throw new Error('No interview content available');
@@ -66,14 +77,41 @@ class RickOwensQuoteBot {
       logger.info(`Processing interview: "${interview.title}" from ${interview.source} (${interview.content.length} chars)`);
 
       // Step 2: Extract meaningful quotes
-      logger.info('Extracting quotes using AI...');
-      const quotes = await this.quoteExtractor.extractQuotes(interview.content, interview.title);
+      // Only the subject's turns are sent, so interviewer lines are never attributed to them
+      logger.info(`Extracting quotes using AI (segmentation: ${interview.segmentation})...`);
+      const subjectContent = this.interviewReader.getSubjectContent(interview);
+      // Quotes are checked against the same text, so paraphrases and inventions never go out
+      const extractedQuotes = await this.quoteExtractor.extractVerifiedQuotes(subjectContent, interview.title);
 
-      if (!quotes || quotes.length === 0 || quotes === null) {
+      if (!extractedQuotes || extractedQuotes.length === 0 || extractedQuotes === null) {
         logger.warn('No meaningful quotes extracted - returning error flag');
         return { success: false, error: 'NO_QUOTES_FOUND' };
       }
 
+      // Record the turn each quote came from and drop any spoken by the interviewer
+      const attributedQuotes = extractedQuotes
+        .map(quote => ({ ...quote, turn: this.interviewReader.findQuoteTurn(interview, quote.text) }))
+        .filter(quote => {
+          if (quote.turn && quote.turn.speaker === 'interviewer') {
+            logger.warn(`Dropping quote from interviewer turn ${quote.turn.index}`);
+            return false;
+          }
+          return true;
+        });
+
+      if (attributedQuotes.length === 0) {
+        logger.warn('All extracted quotes came from the interviewer - returning error flag');
+        return { success: false, error: 'NO_QUOTES_FOUND' };
+      }
+
+      // Drop quotes that already went out within the cool-down window
+      const quotes = attributedQuotes.filter(quote => !this.sendHistory.isQuoteCoolingDown(quote.text));
+
+      if (quotes.length === 0) {
+        logger.warn('All extracted quotes were sent recently - returning error flag');
+        return { success: false, error: 'QUOTES_RECENTLY_SENT' };
+      }
+
       logger.info(`Extracted ${quotes.length} quotes`);
 
       // Step 3: Send email with quotes
@@ -82,13 +120,27 @@ class RickOwensQuoteBot {
 
       const emailContent = this.formatEmail(interview, quotes);
 
-      await this.emailSender.sendQuoteEmail(
+      const sendResult = await this.emailSender.sendQuoteEmail(
         recipients,
         interview.title,
         emailContent.text,
         emailContent.html
       );
 
+      // Step 4: Record the send so it is not repeated. The email is already
+      // out, so a failed history write is logged rather than failing the run.
+      try {
+        await this.sendHistory.recordSend({
+          interview,
+          quotes,
+          provider: quotes[0].source,
+          promptVersion: quotes[0].promptVersion,
+          messageId: sendResult.messageId
+        });
+      } catch (error) {
+        logger.error(`Email sent but the send history could not be saved; ${interview.url} may be sent again within the cool-down:`, error);
+      }
+
       const duration = Math.round((Date.now() - startTime) / 1000);
       logger.info(`Quote processing completed successfully in ${duration}s`);
 
@@ -99,7 +151,9 @@ class RickOwensQuoteBot {
           url: interview.url
         },
         quotes: quotes.length,
+        provider: quotes[0].source,
         recipients: recipients.length,
+        messageId: sendResult.messageId,
         duration
       };
 
@@ -120,26 +174,31 @@ class RickOwensQuoteBot {
       day: 'numeric'
     });
 
+    // Publication and date line, only when the interview metadata has them
+    const sourceDetails = this.formatSourceDetails(interview);
+    const { brand, attribution } = this.persona.branding;
+
     // Text version
     const textContent = `
-OWENSQUOTE - ${date}
+${brand} - ${date}
 
-From: "${interview.title}"
+From: "${interview.title}"${sourceDetails ? `\n${sourceDetails}` : ''}
 Source: ${interview.url}
 
 ${quotes.map((quote, index) => `"${quote.text.toUpperCase()}"`).join('\n\n')}
 
 ---
-OWENSQUOTE
+${brand}
 `;
 
-    // HTML version with Rick Owens website aesthetic
+    // HTML version with Rick Owens website aesthetic. Every value is escaped:
+    // titles and publications are hand-edited and may contain markup characters
     const htmlContent = `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="utf-8">
-  <title>OWENSQUOTE</title>
+  <title>${escapeHtml(brand)}</title>
   <style>
     * {
       margin: 0;
@@ -205,6 +264,15 @@ OWENSQUOTE
       letter-spacing: 0.5px;
     }
 
+    .source-details {
+      font-size: 11px;
+      font-weight: 400;
+      color: #666666;
+      margin-bottom: 5px;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+
     .source-url {
       font-size: 11px;
       font-weight: 400;
@@ -225,6 +293,12 @@ OWENSQUOTE
       font-style: normal;
     }
 
+    /* Supporting quotes sit below the lead quote in a quieter size */
+    .quote-container.supporting .quote-text {
+      font-size: 14px;
+      color: #333333;
+    }
+
     .quote-attribution {
       font-size: 11px;
       font-weight: 400;
@@ -278,26 +352,27 @@ OWENSQUOTE
 <body>
   <div class="container">
     <div class="header">
-      <div class="brand">OWENSQUOTE</div>
-      <div class="date">${date}</div>
+      <div class="brand">${escapeHtml(brand)}</div>
+      <div class="date">${escapeHtml(date)}</div>
     </div>
 
     <div class="content">
       <div class="source-info">
-        <div class="source-title">${interview.title}</div>
-        <div class="source-url">${interview.url}</div>
+        <div class="source-title">${escapeHtml(interview.title)}</div>
+        ${sourceDetails ? `<div class="source-details">${escapeHtml(sourceDetails)}</div>` : ''}
+        <div class="source-url">${escapeHtml(interview.url)}</div>
       </div>
 
       ${quotes.map((quote, index) => `
-        <div class="quote-container">
-          <div class="quote-text">"${quote.text.toUpperCase()}"</div>
-          <div class="quote-attribution">Rick Owens</div>
+        <div class="quote-container ${index === 0 ? 'lead' : 'supporting'}">
+          <div class="quote-text">"${escapeHtml(quote.text.toUpperCase())}"</div>
+          <div class="quote-attribution">${escapeHtml(attribution)}</div>
         </div>
       `).join('')}
     </div>
 
     <div class="footer">
-      <div class="footer-text">OWENSQUOTE</div>
+      <div class="footer-text">${escapeHtml(brand)}</div>
     </div>
   </div>
 </body>
@@ -310,6 +385,25 @@ OWENSQUOTE
     };
   }
 
+  formatSourceDetails(interview) {
+    const details = [];
+
+    if (interview.publication) {
+      details.push(interview.publication);
+    }
+
+    if (interview.publishedAt) {
+      // publishedAt may be partial: YYYY, YYYY-MM or YYYY-MM-DD
+      const [year, month, day] = interview.publishedAt.split('-').map(Number);
+      const options = { year: 'numeric', timeZone: 'UTC' };
+      if (month) options.month = 'long';
+      if (day) options.day = 'numeric';
+      details.push(new Date(Date.UTC(year, (month || 1) - 1, day || 1)).toLocaleDateString('en-US', options));
+    }
+
+    return details.length > 0 ? details.join(' — ') : null;
+  }
+
   async start() {
     try {
       await this.init();
@@ -327,6 +421,12 @@ OWENSQUOTE
       } else {
         logger.info(`Starting scheduled execution with cron: ${scheduleConfig.cronSchedule}`);
 
+        // Pick up corpus edits between runs, and catch broken edits before send time
+        if (config.getDataConfig().watch) {
+          await this.interviewReader.loadInterviews();
+          this.interviewReader.watch();
+        }
+
         const job = new CronJob(
           scheduleConfig.cronSchedule,
           async () => {
@@ -351,6 +451,7 @@ OWENSQUOTE
         process.on('SIGINT', async () => {
           logger.info('Received SIGINT, gracefully shutting down...');
           job.stop();
+          this.interviewReader.unwatch();
           process.exit(0);
         });
       }
@@ -0,0 +1,88 @@
+import { logger } from '../utils/logger.js';
+import { sleep, parseRetryAfter, backoffDelay, withTimeout } from '../utils/retry.js';
+
+// Statuses that may succeed on a retry; any other status is fatal
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+// Connection failures worth retrying, by error code or SDK error class
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+const CONNECTION_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError']);
+
+// A wait longer than this is not worth it; the fallback chain moves on instead
+const MAX_RETRY_AFTER_MS = 120000;
+
+// Gemini reports the wait as a RetryInfo detail ("37s") rather than a header
+function geminiRetryDelay(error) {
+  const retryInfo = (error.errorDetails || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+// Milliseconds the provider asked us to wait, or null
+function getRetryAfterMs(error) {
+  const headers = error.headers || {};
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = Number(get('retry-after-ms'));
+  if (retryAfterMs > 0) return retryAfterMs;
+
+  return parseRetryAfter(get('retry-after')) ?? geminiRetryDelay(error);
+}
+
+// 'retryable' for timeouts, dropped connections, rate limits and server
+// errors; 'fatal' for everything a retry will not fix, such as a bad API key,
+// an unknown model or an exhausted quota
+function classifyAIError(error) {
+  if (error.code === 'timeout') return 'retryable';
+
+  if (error.status !== undefined && error.status !== null) {
+    // OpenAI reports an exhausted quota as a 429 that no wait will clear
+    if (error.status === 429 && (error.code === 'insufficient_quota' || error.error?.code === 'insufficient_quota')) {
+      return 'fatal';
+    }
+    return RETRYABLE_STATUSES.has(error.status) || error.status >= 500 ? 'retryable' : 'fatal';
+  }
+
+  const code = error.code || error.cause?.code;
+  const name = error.constructor?.name || error.name;
+  if (NETWORK_ERROR_CODES.has(code) || CONNECTION_ERROR_NAMES.has(name) || /connection error|fetch failed|socket hang up|network/i.test(error.message)) {
+    return 'retryable';
+  }
+  return 'fatal';
+}
+
+// Call task(signal) with the provider's timeout, retrying retryable errors
+// with exponential backoff and jitter. A Retry-After from the provider is
+// honoured when it asks for longer than the backoff. With retryTimeouts off,
+// a timeout is final, for tasks that keep running after it.
+async function requestWithRetries(provider, task, options = {}) {
+  const timeoutMs = options.timeoutMs || 60000;
+  const maxRetries = options.maxRetries ?? 3;
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  const retryTimeouts = options.retryTimeouts ?? true;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(task, timeoutMs, `${provider} request`);
+    } catch (error) {
+      const kind = error.code === 'timeout' && !retryTimeouts ? 'fatal' : classifyAIError(error);
+      error.retryable = kind === 'retryable';
+
+      if (kind === 'fatal' || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter > MAX_RETRY_AFTER_MS) {
+        logger.warn(`${provider} asked to wait ${Math.round(retryAfter / 1000)}s, giving up`);
+        throw error;
+      }
+
+      const wait = Math.max(backoffDelay(attempt, baseDelayMs), retryAfter || 0);
+      logger.warn(`Retrying ${provider} in ${Math.round(wait)}ms (attempt ${attempt + 2} of ${maxRetries + 1}): ${error.message}`);
+      await sleep(wait);
+    }
+  }
+}
+
+export { requestWithRetries, classifyAIError, getRetryAfterMs };
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+
+// Prompt wording lives in versioned template directories, one per version:
+//
+//   data/prompts/v1/system.txt       system prompt (OpenAI and Ollama)
+//   data/prompts/v1/extract.txt      extraction prompt
+//   data/prompts/v1/repair.txt       follow-up when a response is malformed
+//   data/prompts/v1/small-model.txt  prompt for small local models (Transformers.js)
+//
+// Templates use {{variable}} placeholders. Each template may only use the
+// variables listed here, so a typo fails at startup instead of reaching a model.
+const TEMPLATE_VARIABLES = {
+  system: ['name', 'focus'],
+  extract: ['name', 'focus', 'title', 'content', 'guidelines', 'count', 'quotes'],
+  repair: ['error', 'response'],
+  'small-model': ['name', 'focus', 'title', 'content', 'count', 'quotes', 'lines']
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptTemplates {
+  constructor(version, templates) {
+    this.version = version;
+    this.templates = templates;
+  }
+
+  // Values are inserted as-is and never scanned for placeholders themselves
+  render(name, variables) {
+    return this.templates[name].replace(PLACEHOLDER, (_, variable) => String(variables[variable] ?? ''));
+  }
+}
+
+function loadPromptTemplates(options = {}) {
+  const dir = options.dir || './data/prompts';
+  const version = options.version || 'v1';
+  const versionDir = path.join(dir, version);
+
+  const templates = {};
+  for (const [name, allowed] of Object.entries(TEMPLATE_VARIABLES)) {
+    const filePath = path.join(versionDir, `${name}.txt`);
+
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8').trimEnd();
+    } catch (error) {
+      throw new Error(`Could not read prompt template ${filePath}: ${error.message}`);
+    }
+
+    const unknown = [...text.matchAll(PLACEHOLDER)]
+      .map(([, variable]) => variable)
+      .filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variables in prompt template ${filePath}: ${[...new Set(unknown)].join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+
+    templates[name] = text;
+  }
+
+  return new PromptTemplates(version, templates);
+}
+
+export { loadPromptTemplates, PromptTemplates, TEMPLATE_VARIABLES };
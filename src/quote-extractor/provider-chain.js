@@ -0,0 +1,59 @@
+import { logger } from '../utils/logger.js';
+import { QuoteExtractor } from './quote-extractor.js';
+
+// Tries an ordered list of providers, e.g. openai,ollama,transformers, until
+// one returns verified quotes. A provider that throws (an outage, exhausted
+// quota, a timeout) or finds no quote hands over to the next one.
+class ProviderChain {
+  constructor(configs) {
+    if (!configs || configs.length === 0) {
+      throw new Error('At least one AI provider configuration is required');
+    }
+
+    this.extractors = configs.map(providerConfig => new QuoteExtractor(providerConfig));
+    this.providers = this.extractors.map(extractor => extractor.provider);
+    this.lastAttempts = [];
+  }
+
+  // Same contract as QuoteExtractor.extractVerifiedQuotes: quotes, or null when
+  // no provider found one. Throws only when every provider failed outright.
+  async extractVerifiedQuotes(content, title) {
+    this.lastAttempts = [];
+
+    for (const extractor of this.extractors) {
+      try {
+        const quotes = await extractor.extractVerifiedQuotes(content, title);
+        if (quotes && quotes.length > 0) {
+          this.lastAttempts.push({ provider: extractor.provider, outcome: 'quotes' });
+          if (this.lastAttempts.length > 1) {
+            logger.info(`Quotes extracted by fallback provider ${extractor.provider}`);
+          }
+          return quotes;
+        }
+
+        this.lastAttempts.push({ provider: extractor.provider, outcome: 'no-quote' });
+        logger.warn(`${extractor.provider} found no quote${this.hasNext(extractor) ? ', trying the next provider' : ''}`);
+      } catch (error) {
+        this.lastAttempts.push({ provider: extractor.provider, outcome: 'failed', error: error.message });
+        logger.warn(`${extractor.provider} failed: ${error.message}${this.hasNext(extractor) ? ', trying the next provider' : ''}`);
+      }
+    }
+
+    if (this.lastAttempts.every(attempt => attempt.outcome === 'failed')) {
+      const reasons = this.lastAttempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ');
+      throw new Error(`All AI providers failed (${reasons})`);
+    }
+
+    return null;
+  }
+
+  hasNext(extractor) {
+    return this.extractors.indexOf(extractor) < this.extractors.length - 1;
+  }
+
+  getProviderInfo() {
+    return this.extractors.map(extractor => extractor.getProviderInfo());
+  }
+}
+
+export { ProviderChain };
@@ -3,6 +3,35 @@ import Anthropic from '@anthropic-ai/sdk';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { pipeline } from '@xenova/transformers';
 import { logger } from '../utils/logger.js';
+import { QUOTE_RESPONSE_JSON_SCHEMA, parseQuoteResponse } from './quote-response.js';
+import { verifyQuote } from './quote-verifier.js';
+import { requestWithRetries } from './ai-request.js';
+import { withTimeout } from '../utils/retry.js';
+import { chunkText, estimateTokens } from '../utils/text-chunker.js';
+import { normalizeForComparison } from '../utils/text-normalizer.js';
+import { loadPersona } from '../config/persona.js';
+import { loadPromptTemplates } from './prompt-templates.js';
+
+// Malformed responses are retried this many times with a repair prompt
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Extraction is retried this many times when no quote is found in the source
+const MAX_VERIFY_RETRIES = 1;
+
+// Context window of each provider's default model in tokens. Ollama serves
+// models with a 2048-token window unless num_ctx is raised, and the T5 model
+// used with Transformers.js reads 512 tokens.
+const CONTEXT_WINDOWS = {
+  openai: 128000,
+  anthropic: 200000,
+  gemini: 1000000,
+  ollama: 2048,
+  transformers: 512
+};
+
+// Share of the window left unused because token counts may be estimated
+const CONTEXT_MARGIN = 0.1;
+const MIN_CHUNK_TOKENS = 200;
 
 class QuoteExtractor {
   constructor(config) {
@@ -17,21 +46,25 @@ class QuoteExtractor {
 
     this.config = config;
     this.provider = config.provider;
+    this.persona = config.persona || loadPersona();
+    this.prompts = loadPromptTemplates(config.prompts);
     this.client = this.initializeClient();
   }
 
   initializeClient() {
     switch (this.provider) {
+      // SDK retries are off: requestWithRetries retries every provider the same way
       case 'openai':
-        return new OpenAI({ apiKey: this.config.apiKey });
+        return new OpenAI({ apiKey: this.config.apiKey, maxRetries: 0 });
       case 'anthropic':
-        return new Anthropic({ apiKey: this.config.apiKey });
+        return new Anthropic({ apiKey: this.config.apiKey, maxRetries: 0 });
       case 'gemini':
         return new GoogleGenerativeAI(this.config.apiKey);
       case 'ollama':
         return new OpenAI({
           baseURL: this.config.baseURL || 'http://localhost:11434/v1',
-          apiKey: 'ollama' // Ollama doesn't require real API key
+          apiKey: 'ollama', // Ollama doesn't require real API key
+          maxRetries: 0
         });
       case 'transformers':
         return null; // Will be initialized when needed
@@ -40,69 +73,213 @@ class QuoteExtractor {
     }
   }
 
-  buildPrompt(content, title) {
-    return `Please extract the most meaningful and impactful quote from this Rick Owens interview. Focus on quotes that capture his philosophy, aesthetic vision, or unique perspective.
+  buildSystemPrompt() {
+    return this.prompts.render('system', { name: this.persona.name, focus: this.persona.prompt.focus });
+  }
 
-Interview Title: "${title}"
+  buildPrompt(content, title, count = 1) {
+    const { name, prompt } = this.persona;
+    const guidelines = prompt.guidelines.length > 0 ? prompt.guidelines : ['The quote should be memorable and thought-provoking'];
+
+    return this.prompts.render('extract', {
+      name,
+      focus: prompt.focus,
+      title,
+      content,
+      guidelines: guidelines.map((guideline, index) => `${index + 1}. ${guideline}`).join('\n'),
+      count,
+      quotes: count === 1 ? 'quote' : 'quotes'
+    });
+  }
 
-Interview Content:
-${content}
+  // The small T5 model needs a simpler, more direct prompt. It is asked for
+  // the numbered, scored lines parseRankedQuotes reads.
+  buildSmallModelPrompt(content, title, count = 1) {
+    return this.prompts.render('small-model', {
+      name: this.persona.name,
+      focus: this.persona.prompt.focus,
+      title,
+      content,
+      count,
+      quotes: count === 1 ? 'quote' : 'quotes',
+      lines: count === 1 ? 'line' : 'lines'
+    });
+  }
 
-Instructions:
-1. Choose a quote that is authentic to Rick Owens' voice and style
-2. Select something philosophically interesting or aesthetically profound
-3. Avoid quotes about fashion logistics or business details
-4. The quote should be memorable and thought-provoking
-5. It should represent his artistic vision
+  buildRepairPrompt(response, error) {
+    return this.prompts.render('repair', { response, error });
+  }
 
-IMPORTANT: If you cannot find any meaningful quotes in the content, return exactly "ERROR_NO_QUOTE" (without quotes). Do not return explanations like "I was unable to find quotes" or similar text.
+  // One provider call with the provider's timeout and retries
+  async callProvider(prompt) {
+    return await requestWithRetries(this.provider, signal => this.sendToProvider(prompt, signal), {
+      timeoutMs: this.config.timeoutMs,
+      maxRetries: this.config.maxRetries,
+      baseDelayMs: this.config.retryBaseDelayMs,
+      // A timed-out Transformers.js run keeps the CPU busy, and a retry would
+      // only compete with it
+      retryTimeouts: this.provider !== 'transformers'
+    });
+  }
 
-Return ONLY the quote itself, without quotation marks, attribution, or additional commentary. The quote should be complete and make sense on its own. If no quote can be found, return exactly "ERROR_NO_QUOTE".`;
+  async sendToProvider(prompt, signal) {
+    switch (this.provider) {
+      case 'openai':
+        return await this.extractWithOpenAI(prompt, signal);
+      case 'anthropic':
+        return await this.extractWithAnthropic(prompt, signal);
+      case 'gemini':
+        return await this.extractWithGemini(prompt, signal);
+      case 'ollama':
+        return await this.extractWithOllama(prompt, signal);
+      case 'transformers':
+        return await this.extractWithTransformers(prompt);
+      default:
+        throw new Error(`Unsupported provider: ${this.provider}`);
+    }
   }
 
+  // Ask for structured quotes, validate the JSON and retry with a repair
+  // prompt when it is malformed
+  async requestStructuredQuotes(prompt) {
+    let response = await this.callProvider(prompt);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return parseQuoteResponse(response);
+      } catch (error) {
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+          throw new Error(`${this.provider} returned an unusable response after ${attempt} repair attempts: ${error.message}`);
+        }
+        logger.warn(`Malformed response from ${this.provider}, asking for a repair: ${error.message}`);
+        response = await this.callProvider(this.buildRepairPrompt(response, error.message));
+      }
+    }
+  }
+
+  // Counts tokens exactly with the Transformers.js model's own tokenizer,
+  // whose window is too small for an estimate; other providers estimate
+  async getTokenCounter() {
+    if (this.provider !== 'transformers') {
+      return estimateTokens;
+    }
+
+    // The first call downloads the model, within the provider's timeout
+    const { tokenizer } = await withTimeout(() => this.getTransformersPipeline(), this.config.timeoutMs || 300000, 'transformers model load');
+    return text => tokenizer.encode(text, null, { add_special_tokens: false }).length;
+  }
+
+  // Tokens of interview text that fit in one prompt alongside the
+  // instructions and, for decoder-only models, the response
+  getChunkTokens(title, count, countTokens = estimateTokens) {
+    const contextTokens = this.config.contextTokens || CONTEXT_WINDOWS[this.provider];
+    const overhead = this.provider === 'transformers'
+      ? countTokens(this.buildSmallModelPrompt('', title, count))
+      : countTokens(this.buildPrompt('', title, count)) + (this.config.maxTokens || 500);
+    return Math.max(MIN_CHUNK_TOKENS, Math.floor(contextTokens * (1 - CONTEXT_MARGIN)) - overhead);
+  }
+
+  // Candidate quotes from one prompt's worth of interview text
+  async extractCandidates(content, title, count) {
+    // The small Transformers.js model cannot produce JSON, so it gets its own
+    // prompt and its plain text is parsed instead
+    if (this.provider === 'transformers') {
+      return this.parseRankedQuotes(await this.callProvider(this.buildSmallModelPrompt(content, title, count)), count)
+        .map(quote => ({ quote: quote.text, context: '', themes: [], confidence: quote.score }));
+    }
+    return await this.requestStructuredQuotes(this.buildPrompt(content, title, count));
+  }
+
+  // The most confident candidates across all chunks. Overlapping chunks can
+  // return the same quote twice, so duplicates are dropped first.
+  selectBestQuotes(candidates, count) {
+    const seen = new Set();
+    return candidates
+      .map(quote => ({ ...quote, quote: this.cleanQuote(quote.quote) }))
+      .filter(quote => quote.quote)
+      .filter(quote => {
+        const key = normalizeForComparison(quote.quote);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, count);
+  }
+
+  // Long interviews are split into overlapping chunks sized to the provider's
+  // context window; candidates are extracted from each chunk (map) and the
+  // best are kept across chunks (reduce). A chunk that fails is skipped; the
+  // extraction only fails when no chunk succeeded.
   async extractQuotes(content, title) {
     try {
       logger.info(`Extracting quotes using ${this.provider} from interview: ${title}`);
 
-      const prompt = this.buildPrompt(content, title);
-      let response;
-
-      switch (this.provider) {
-        case 'openai':
-          response = await this.extractWithOpenAI(prompt);
-          break;
-        case 'anthropic':
-          response = await this.extractWithAnthropic(prompt);
-          break;
-        case 'gemini':
-          response = await this.extractWithGemini(prompt);
-          break;
-        case 'ollama':
-          response = await this.extractWithOllama(prompt);
-          break;
-        case 'transformers':
-          response = await this.extractWithTransformers(prompt);
-          break;
-        default:
-          throw new Error(`Unsupported provider: ${this.provider}`);
+      const count = this.config.quoteCount || 1;
+      const countTokens = await this.getTokenCounter();
+      const chunkTokens = this.getChunkTokens(title, count, countTokens);
+      const chunks = chunkText(content, {
+        maxTokens: chunkTokens,
+        overlapTokens: this.config.chunkOverlapTokens ?? 100,
+        countTokens
+      });
+
+      if (chunks.length > 1) {
+        logger.info(`Interview split into ${chunks.length} chunks of up to ${chunkTokens} tokens`);
       }
 
-      const cleanedQuote = this.cleanQuote(response);
+      const candidates = [];
+      const failures = [];
+      let succeeded = 0;
+      for (const [index, chunk] of chunks.entries()) {
+        try {
+          const chunkQuotes = await this.extractCandidates(chunk, title, count);
+          if (chunks.length > 1) {
+            logger.debug(`Chunk ${index + 1}/${chunks.length}: ${chunkQuotes.length} candidate quotes`);
+          }
+          candidates.push(...chunkQuotes);
+          succeeded++;
+        } catch (error) {
+          failures.push(error);
+          if (chunks.length > 1) {
+            logger.warn(`Chunk ${index + 1}/${chunks.length} failed with ${this.provider}: ${error.message}`);
+          }
+          // A timed-out Transformers.js run is still using the CPU, so the rest
+          // of the chunks would only queue up behind it
+          if (error.code === 'timeout' && this.provider === 'transformers') {
+            break;
+          }
+        }
+      }
 
-      if (!cleanedQuote || cleanedQuote === 'ERROR_NO_QUOTE') {
-        logger.warn('AI returned error flag or no valid quote found');
-        return null; // Return null to indicate no quote found
+      if (succeeded === 0 && failures.length > 0) {
+        throw failures[0];
       }
 
-      logger.info(`Successfully extracted quote (${cleanedQuote.length} characters)`);
-      logger.debug(`Extracted quote: "${cleanedQuote.substring(0, 100)}..."`);
+      const rankedQuotes = this.selectBestQuotes(candidates, count);
 
-      // Return as array for compatibility with existing code
-      return [{
-        text: cleanedQuote,
+      if (rankedQuotes.length === 0) {
+        logger.warn('AI returned no quotes or no valid quote found');
+        return null; // Return null to indicate no quote found
+      }
+
+      logger.info(`Successfully extracted ${rankedQuotes.length} quotes (lead quote ${rankedQuotes[0].quote.length} characters)`);
+      logger.debug(`Lead quote: "${rankedQuotes[0].quote.substring(0, 100)}..."`);
+
+      // Best first; the first quote leads the email
+      const extractedAt = new Date().toISOString();
+      return rankedQuotes.map((quote, index) => ({
+        text: quote.quote,
+        context: quote.context,
+        themes: quote.themes,
+        confidence: quote.confidence,
+        score: quote.confidence,
+        rank: index + 1,
         source: this.provider,
-        extractedAt: new Date().toISOString()
-      }];
+        model: this.config.model,
+        promptVersion: this.prompts.version,
+        extractedAt
+      }));
 
     } catch (error) {
       logger.error(`Failed to extract quotes using ${this.provider}:`, error);
@@ -110,13 +287,13 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
     }
   }
 
-  async extractWithOpenAI(prompt) {
+  async extractWithOpenAI(prompt, signal) {
     const completion = await this.client.chat.completions.create({
       model: this.config.model,
       messages: [
         {
           role: 'system',
-          content: `You are an expert at identifying meaningful, thought-provoking quotes from Rick Owens interviews. Extract the most impactful quote that captures Rick's philosophy, aesthetic vision, or unique perspective.`
+          content: this.buildSystemPrompt()
         },
         {
           role: 'user',
@@ -124,49 +301,62 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
         }
       ],
       max_tokens: this.config.maxTokens,
-      temperature: this.config.temperature
-    });
+      temperature: this.config.temperature,
+      response_format: { type: 'json_object' }
+    }, { signal });
 
     return completion.choices[0]?.message?.content;
   }
 
-  async extractWithAnthropic(prompt) {
+  async extractWithAnthropic(prompt, signal) {
+    // Claude has no JSON mode; forcing a tool call makes it fill in the schema
     const message = await this.client.messages.create({
       model: this.config.model,
       max_tokens: this.config.maxTokens,
       temperature: this.config.temperature,
+      tools: [
+        {
+          name: 'record_quotes',
+          description: 'Record the quotes extracted from the interview',
+          input_schema: QUOTE_RESPONSE_JSON_SCHEMA
+        }
+      ],
+      tool_choice: { type: 'tool', name: 'record_quotes' },
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ]
-    });
+    }, { signal });
 
-    return message.content[0]?.text;
+    const toolUse = message.content.find(block => block.type === 'tool_use');
+    return toolUse ? JSON.stringify(toolUse.input) : message.content.find(block => block.type === 'text')?.text;
   }
 
-  async extractWithGemini(prompt) {
+  async extractWithGemini(prompt, signal) {
     const model = this.client.getGenerativeModel({
       model: this.config.model,
       generationConfig: {
         maxOutputTokens: this.config.maxTokens,
         temperature: this.config.temperature,
+        responseMimeType: 'application/json',
+        responseSchema: QUOTE_RESPONSE_JSON_SCHEMA
       }
     });
 
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal });
     const response = await result.response;
     return response.text();
   }
 
-  async extractWithOllama(prompt) {
+  async extractWithOllama(prompt, signal) {
     const completion = await this.client.chat.completions.create({
       model: this.config.model || 'qwen2.5:1.5b',
       messages: [
         {
           role: 'system',
-          content: `You are an expert at identifying meaningful, thought-provoking quotes from Rick Owens interviews. Extract the most impactful quote that captures Rick's philosophy, aesthetic vision, or unique perspective.`
+          content: this.buildSystemPrompt()
         },
         {
           role: 'user',
@@ -174,31 +364,35 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
         }
       ],
       max_tokens: this.config.maxTokens || 300,
-      temperature: this.config.temperature || 0.7
-    });
+      temperature: this.config.temperature || 0.7,
+      response_format: { type: 'json_object' }
+    }, { signal });
 
     return completion.choices[0]?.message?.content;
   }
 
-  async extractWithTransformers(prompt) {
-    // Initialize the pipeline if not already done
+  // The promise is cached, so a call made while the model is still
+  // downloading waits for that download instead of starting another. A failed
+  // load is forgotten so the next call can try again.
+  getTransformersPipeline() {
     if (!this.transformersPipeline) {
       logger.info('Initializing Transformers.js pipeline...');
-      this.transformersPipeline = await pipeline(
+      this.transformersPipeline = pipeline(
         'text2text-generation',
         this.config.model || 'Xenova/LaMini-Flan-T5-248M',
         { device: 'cpu' }
-      );
+      ).catch(error => {
+        this.transformersPipeline = null;
+        throw error;
+      });
     }
+    return this.transformersPipeline;
+  }
 
-    // For the small T5 model, we need a simpler, more direct prompt
-    // Extract content from the full prompt since we only have access to prompt here
-    const contentMatch = prompt.match(/Interview Content:\s*(.*?)(?:\n\nInstructions:|$)/s);
-    const content = contentMatch ? contentMatch[1] : prompt;
-
-    const simplePrompt = `Extract the most meaningful quote from this Rick Owens interview that shows his philosophy or vision:\n\n${content.substring(0, 2000)}\n\nMost meaningful quote:`;
-
-    const result = await this.transformersPipeline(simplePrompt, {
+  // The pipeline cannot be cancelled, so a timed-out run finishes in the background
+  async extractWithTransformers(prompt) {
+    const generator = await this.getTransformersPipeline();
+    const result = await generator(prompt, {
       max_length: this.config.maxTokens || 100,
       temperature: this.config.temperature || 0.7,
       do_sample: true
@@ -207,6 +401,38 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
     return result[0]?.generated_text || '';
   }
 
+  // Parse "1. [9] quote" lines into quotes with a score from 0 to 1, best
+  // first. A response without numbered lines (small models often ignore the
+  // format) is treated as a single quote.
+  parseRankedQuotes(response, count) {
+    if (!response) return [];
+
+    const lines = response.split('\n')
+      .map(line => line.match(/^\s*(\d+)[.)]\s*(?:\[(\d+(?:\.\d+)?)(?:\s*\/\s*10)?\]\s*)?(.+)$/))
+      .filter(Boolean);
+
+    const candidates = lines.length > 0
+      ? lines.map(([, , score, text], index) => ({
+        text: this.cleanQuote(text),
+        // Without a score, fall back to the position in the list
+        score: score !== undefined ? Math.min(Number(score), 10) / 10 : 1 - index / (lines.length + 1)
+      }))
+      : [{ text: this.cleanQuote(response), score: 1 }];
+
+    const seen = new Set();
+    return candidates
+      .filter(quote => quote.text && quote.text !== 'ERROR_NO_QUOTE')
+      .filter(quote => {
+        const key = quote.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(quote => ({ ...quote, score: Math.round(quote.score * 100) / 100 }));
+  }
+
   cleanQuote(rawQuote) {
     if (!rawQuote) return null;
 
@@ -219,10 +445,65 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
       .trim();
   }
 
+  // Keep the quotes found in the source, each replaced by the exact source
+  // span it matches; paraphrased or invented quotes are dropped
+  verifyQuotes(quotes, content) {
+    const threshold = this.config.matchThreshold ?? 0.85;
+
+    const verified = quotes.flatMap(quote => {
+      const match = verifyQuote(quote.text, content, { threshold });
+      if (!match) {
+        logger.warn(`Rejecting quote not found in the interview: "${quote.text.substring(0, 80)}..."`);
+        return [];
+      }
+      if (match.text !== quote.text) {
+        logger.debug(`Snapped quote to source (similarity ${match.similarity}): "${match.text.substring(0, 80)}..."`);
+      }
+      return [{
+        ...quote,
+        text: match.text,
+        verification: { similarity: match.similarity, start: match.start, end: match.end }
+      }];
+    });
+
+    // The same source span can be matched by two near-identical quotes
+    const seen = new Set();
+    return verified
+      .filter(quote => {
+        if (seen.has(quote.verification.start)) return false;
+        seen.add(quote.verification.start);
+        return true;
+      })
+      .map((quote, index) => ({ ...quote, rank: index + 1 }));
+  }
+
+  // Extract quotes and verify them against the content, retrying when the
+  // provider returned quotes but none of them appear in the interview
+  async extractVerifiedQuotes(content, title) {
+    for (let attempt = 0; ; attempt++) {
+      const quotes = await this.extractQuotes(content, title);
+      if (!quotes || quotes.length === 0) {
+        return null;
+      }
+
+      const verified = this.verifyQuotes(quotes, content);
+      if (verified.length > 0) {
+        logger.info(`Verified ${verified.length} of ${quotes.length} quotes against the interview`);
+        return verified;
+      }
+
+      if (attempt >= MAX_VERIFY_RETRIES) {
+        logger.warn(`None of the quotes from ${this.provider} were found in the interview`);
+        return null;
+      }
+      logger.warn(`None of the quotes from ${this.provider} were found in the interview, retrying`);
+    }
+  }
+
   // Legacy method for backwards compatibility
   async extractQuote(interviewData) {
     const quotes = await this.extractQuotes(interviewData.content, interviewData.title);
-    return quotes[0]?.text || null;
+    return quotes?.[0]?.text ?? null;
   }
 
   // Get provider info for debugging
@@ -230,6 +511,7 @@ Return ONLY the quote itself, without quotation marks, attribution, or additiona
     return {
       provider: this.provider,
       model: this.config.model,
+      promptVersion: this.prompts.version,
       maxTokens: this.config.maxTokens,
       temperature: this.config.temperature
     };
@@ -0,0 +1,75 @@
+import Joi from 'joi';
+
+// Shape every provider is asked to return. Written in the JSON Schema subset
+// that OpenAI, Anthropic tool input and Gemini response schemas all accept.
+const QUOTE_RESPONSE_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    quotes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          quote: { type: 'string', description: 'The quote, word for word from the interview' },
+          context: { type: 'string', description: 'One sentence on what the quote is about' },
+          themes: { type: 'array', items: { type: 'string' }, description: 'A few one- or two-word themes' },
+          confidence: { type: 'number', description: 'How strong and authentic the quote is, from 0 to 1' }
+        },
+        required: ['quote', 'context', 'themes', 'confidence']
+      }
+    }
+  },
+  required: ['quotes']
+};
+
+const quoteSchema = Joi.object({
+  quote: Joi.string().trim().min(1).required(),
+  context: Joi.string().trim().allow('').default(''),
+  themes: Joi.array().items(Joi.string().trim().min(1)).default([]),
+  confidence: Joi.number().min(0).max(1).required()
+}).unknown(true);
+
+const responseSchema = Joi.object({
+  quotes: Joi.array().items(quoteSchema).required()
+}).unknown(true);
+
+// Take the JSON object out of a response that may be wrapped in a code fence
+// or preceded by a preamble such as "Here is the quote:"
+function extractJsonText(raw) {
+  const text = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('Response contains no JSON object');
+  }
+  return text.slice(start, end + 1);
+}
+
+// Parse and validate a provider response. Returns the quotes best first;
+// throws with a message suitable for a repair prompt when the response is malformed.
+function parseQuoteResponse(raw) {
+  if (!raw || !raw.trim()) {
+    throw new Error('Response is empty');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(extractJsonText(raw));
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+
+  // A single quote object is accepted as a list of one
+  if (data && !Array.isArray(data.quotes) && typeof data.quote === 'string') {
+    data = { quotes: [data] };
+  }
+
+  const { error, value } = responseSchema.validate(data, { abortEarly: false });
+  if (error) {
+    throw new Error(`Response does not match the schema: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  return value.quotes;
+}
+
+export { QUOTE_RESPONSE_JSON_SCHEMA, parseQuoteResponse };
@@ -0,0 +1,82 @@
+// Checks that an extracted quote really appears in the interview. Both texts
+// are reduced to lowercased words, so punctuation, case and whitespace never
+// matter, and the quote is matched against the closest run of source words
+// with a word-level edit distance. A match is snapped back to the exact
+// source text it covers.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Sentence-ending punctuation kept when it directly follows the matched words
+const TRAILING_PUNCTUATION = /^[.!?…]+/;
+
+function tokenize(text) {
+  return Array.from((text || '').matchAll(WORD), match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Best approximate occurrence of the quote's words anywhere in the source
+// words: the edit distance may start and end at any source position.
+// Returns { distance, first, last } as source word indexes.
+function findClosestRun(quoteWords, sourceWords) {
+  const m = quoteWords.length;
+
+  // previous[i] / current[i]: distance of quote words [0, i) ending at the
+  // current source word, and the source index where that run starts
+  let previous = Array.from({ length: m + 1 }, (_, i) => ({ distance: i, first: 0 }));
+  let best = null;
+
+  for (let j = 0; j < sourceWords.length; j++) {
+    const current = [{ distance: 0, first: j + 1 }];
+    for (let i = 1; i <= m; i++) {
+      const substitution = {
+        distance: previous[i - 1].distance + (quoteWords[i - 1] === sourceWords[j] ? 0 : 1),
+        first: i === 1 ? j : previous[i - 1].first
+      };
+      const skipSource = { distance: previous[i].distance + 1, first: previous[i].first };
+      const skipQuote = { distance: current[i - 1].distance + 1, first: current[i - 1].first };
+      current.push([substitution, skipSource, skipQuote].reduce((a, b) => (b.distance < a.distance ? b : a)));
+    }
+
+    if (!best || current[m].distance < best.distance) {
+      best = { distance: current[m].distance, first: current[m].first, last: j };
+    }
+    previous = current;
+  }
+
+  return best;
+}
+
+// Returns { text, similarity, start, end } with the source span the quote
+// matches, or null when no run of source words is at least `threshold`
+// similar (1 is a word-for-word match).
+function verifyQuote(quote, source, options = {}) {
+  const threshold = options.threshold ?? 0.85;
+  const quoteWords = tokenize(quote).map(token => token.word);
+  const sourceTokens = tokenize(source);
+
+  if (quoteWords.length === 0 || sourceTokens.length === 0) {
+    return null;
+  }
+
+  const run = findClosestRun(quoteWords, sourceTokens.map(token => token.word));
+  const similarity = Math.max(0, 1 - run.distance / quoteWords.length);
+  if (run.first > run.last || similarity < threshold) {
+    return null;
+  }
+
+  const start = sourceTokens[run.first].start;
+  let end = sourceTokens[run.last].end;
+  end += (source.slice(end).match(TRAILING_PUNCTUATION)?.[0] || '').length;
+
+  return {
+    text: source.slice(start, end).replace(/\s+/g, ' ').trim(),
+    similarity: Math.round(similarity * 100) / 100,
+    start,
+    end
+  };
+}
+
+export { verifyQuote };
@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { parseInterviewFile, CURRENT_SCHEMA_VERSION } from '../services/interview-schema.js';
+import { canonicalizeUrl, contentHash } from '../services/corpus-normalizer.js';
+import { UNTITLED } from './html-extractor.js';
+
+// Read the JSON corpus file, remembering whether it is the legacy array or the
+// versioned object so it can be written back in the same shape
+async function readCorpusFile(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const { schemaVersion, entries } = parseInterviewFile(data);
+    return { schemaVersion, isArray: Array.isArray(data), data, entries };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+
+    logger.info(`No corpus found at ${filePath}, a new one will be created`);
+    return { schemaVersion: CURRENT_SCHEMA_VERSION, isArray: false, data: {}, entries: [] };
+  }
+}
+
+async function writeCorpusFile(filePath, corpus, entries) {
+  const output = corpus.isArray
+    ? entries
+    : { ...corpus.data, schemaVersion: CURRENT_SCHEMA_VERSION, interviews: entries };
+
+  // Write to a temporary file first so a watcher never sees a half-written corpus
+  const tempPath = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+function getKnownUrls(entries) {
+  return new Set(entries.map(entry => entry?.url && canonicalizeUrl(entry.url)).filter(Boolean));
+}
+
+// The corpus entry for a freshly scraped interview. The URL is kept as fetched
+// so it can be fetched again; entries are matched by canonical URL.
+function toCorpusEntry(interview) {
+  return {
+    url: interview.url,
+    text: interview.content,
+    ...(interview.title && interview.title !== UNTITLED ? { title: interview.title } : {}),
+    ...(interview.publishedAt ? { publishedAt: interview.publishedAt } : {}),
+    scrapedAt: interview.scrapedAt,
+    ...(interview.method ? {
+      extraction: { method: interview.method, confidence: interview.confidence, contentHash: contentHash(interview.content) }
+    } : {}),
+    ...(interview.etag ? { etag: interview.etag } : {}),
+    ...(interview.lastModified ? { lastModified: interview.lastModified } : {})
+  };
+}
+
+function indexEntriesByUrl(entries) {
+  const indexByUrl = new Map();
+  entries.forEach((entry, index) => {
+    const url = entry?.url && canonicalizeUrl(entry.url);
+    if (url) indexByUrl.set(url, index);
+  });
+  return indexByUrl;
+}
+
+// True when merging would not change the entry: the extracted text hashes the
+// same and every other scraped field matches. Hand edits to the text that keep
+// its hash are therefore preserved.
+function isUnchanged(entry, scrapedEntry) {
+  const { url, text, scrapedAt, ...fields } = scrapedEntry;
+  return Boolean(entry.extraction?.contentHash) &&
+    Object.entries(fields).every(([key, value]) => JSON.stringify(entry[key]) === JSON.stringify(value));
+}
+
+// Merge scraped interviews into the corpus entries by canonical URL. New URLs
+// are appended; existing entries are updated unless they are marked
+// "curated": true, which means they were edited by hand and are never touched.
+// An existing entry keeps its own URL. The reported URLs are the entries'
+// own, not the canonical matching keys.
+function mergeScrapedInterviews(entries, scraped) {
+  const merged = [...entries];
+  const indexByUrl = indexEntriesByUrl(merged);
+  const result = { added: [], updated: [], unchanged: [], skipped: [] };
+
+  for (const interview of scraped) {
+    const scrapedEntry = toCorpusEntry(interview);
+    const url = canonicalizeUrl(scrapedEntry.url);
+
+    if (!indexByUrl.has(url)) {
+      indexByUrl.set(url, merged.length);
+      merged.push(scrapedEntry);
+      result.added.push(scrapedEntry.url);
+      continue;
+    }
+
+    const index = indexByUrl.get(url);
+    if (merged[index].curated) {
+      result.skipped.push(merged[index].url);
+      continue;
+    }
+
+    if (isUnchanged(merged[index], scrapedEntry)) {
+      result.unchanged.push(merged[index].url);
+      continue;
+    }
+
+    merged[index] = { ...merged[index], ...scrapedEntry, url: merged[index].url };
+    result.updated.push(merged[index].url);
+  }
+
+  return { entries: merged, ...result };
+}
+
+// Apply the results of InterviewScraper.checkForChanges(). A changed page
+// replaces the text and is flagged with a "change" record holding the diff
+// until someone reviews it; a page that is gone is marked retired and no
+// longer used, but stays in the file.
+function applyChangeChecks(entries, checks, checkedAt = new Date().toISOString()) {
+  const merged = [...entries];
+  const indexByUrl = indexEntriesByUrl(merged);
+  const result = { changed: [], retired: [], unchanged: [], revalidated: [] };
+
+  for (const check of checks) {
+    const url = canonicalizeUrl(check.url);
+    const index = indexByUrl.get(url);
+    if (index === undefined) continue;
+
+    const entry = merged[index];
+    if (check.status === 'retired') {
+      merged[index] = { ...entry, retiredAt: checkedAt };
+      result.retired.push({ url: entry.url, httpStatus: check.httpStatus });
+    } else if (check.status === 'changed') {
+      merged[index] = {
+        ...entry,
+        ...toCorpusEntry(check.interview),
+        change: { detectedAt: checkedAt, diff: check.diff }
+      };
+      result.changed.push({ url: entry.url, diff: check.diff });
+    } else {
+      // Keep the newest cache validators for the next conditional request
+      const validators = check.interview ? toCorpusEntry(check.interview) : {};
+      merged[index] = {
+        ...entry,
+        ...(validators.etag ? { etag: validators.etag } : {}),
+        ...(validators.lastModified ? { lastModified: validators.lastModified } : {})
+      };
+      result.unchanged.push({ url: entry.url });
+      if (merged[index].etag !== entry.etag || merged[index].lastModified !== entry.lastModified) {
+        result.revalidated.push({ url: entry.url });
+      }
+    }
+  }
+
+  return { entries: merged, ...result };
+}
+
+export { readCorpusFile, writeCorpusFile, getKnownUrls, mergeScrapedInterviews, applyChangeChecks };
@@ -0,0 +1,157 @@
+import { logger } from '../utils/logger.js';
+import { sleep, parseRetryAfter, backoffDelay } from '../utils/retry.js';
+import { parseRobots, isAllowedByRobots, ALLOW_ALL, DISALLOW_ALL } from './robots.js';
+
+// Product token matched against robots.txt user-agent groups
+const ROBOTS_AGENT = 'rick-owens-quote';
+
+// Statuses worth retrying; other 4xx responses will not change on a retry
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const MAX_RETRY_AFTER_MS = 120000;
+
+function isTransient(error) {
+  if (error.code === 'robots-disallowed') return false;
+  // No status means the request itself failed: timeout, reset, DNS
+  return error.status === undefined || TRANSIENT_STATUSES.has(error.status);
+}
+
+// Puts every request through robots.txt, a per-host request rate and retries
+// with exponential backoff, and runs tasks with bounded concurrency
+class CrawlController {
+  constructor(fetcher, options = {}) {
+    this.fetcher = fetcher;
+    this.options = {
+      concurrency: 3,
+      requestDelayMs: 1000,
+      maxRetries: 3,
+      retryBaseDelayMs: 1000,
+      respectRobots: true,
+      ...options
+    };
+    this.robotsByOrigin = new Map();
+    this.nextRequestAt = new Map();
+    this.stats = { requests: 0, retries: 0, robotsBlocked: 0 };
+  }
+
+  async getRobots(origin) {
+    if (!this.robotsByOrigin.has(origin)) {
+      // Store the promise so concurrent requests share one robots.txt fetch
+      this.robotsByOrigin.set(origin, this.loadRobots(origin));
+    }
+    return this.robotsByOrigin.get(origin);
+  }
+
+  async loadRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const { html } = await this.fetchWithRetries(robotsUrl);
+      const robots = parseRobots(html, ROBOTS_AGENT);
+      logger.info(`Read ${robotsUrl}: ${robots.rules.length} rules${robots.crawlDelayMs ? `, crawl delay ${robots.crawlDelayMs}ms` : ''}`);
+      return robots;
+    } catch (error) {
+      // A missing robots.txt allows everything; an unreachable one allows nothing
+      if (error.status >= 400 && error.status < 500) {
+        return ALLOW_ALL;
+      }
+      logger.warn(`Could not read ${robotsUrl}, not crawling ${origin}: ${error.message}`);
+      return DISALLOW_ALL;
+    }
+  }
+
+  // Reserve the next request slot for the host and wait for it
+  async waitForTurn(url, crawlDelayMs) {
+    const { host } = new URL(url);
+    const delay = Math.max(this.options.requestDelayMs, crawlDelayMs || 0);
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.set(host, slot + delay);
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  async fetchWithRetries(url, crawlDelayMs = null, fetchOptions = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForTurn(url, crawlDelayMs);
+      this.stats.requests++;
+
+      try {
+        return await this.fetcher.fetch(url, fetchOptions);
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !isTransient(error)) {
+          throw error;
+        }
+
+        const backoff = backoffDelay(attempt, this.options.retryBaseDelayMs);
+        const retryAfter = Math.min(parseRetryAfter(error.headers?.['retry-after']) || 0, MAX_RETRY_AFTER_MS);
+        const wait = Math.max(backoff, retryAfter);
+        this.stats.retries++;
+        logger.warn(`Retrying ${url} in ${Math.round(wait)}ms (attempt ${attempt + 2} of ${this.options.maxRetries + 1}): ${error.message}`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  async fetch(url, fetchOptions = {}) {
+    const robots = this.options.respectRobots ? await this.getRobots(new URL(url).origin) : ALLOW_ALL;
+    if (!isAllowedByRobots(robots, url)) {
+      this.stats.robotsBlocked++;
+      const error = new Error(`Disallowed by robots.txt: ${url}`);
+      error.code = 'robots-disallowed';
+      throw error;
+    }
+
+    return this.fetchWithRetries(url, robots.crawlDelayMs, fetchOptions);
+  }
+
+  // Sitemaps listed in the site's robots.txt
+  async getSitemaps(url) {
+    if (!this.options.respectRobots) return [];
+    return (await this.getRobots(new URL(url).origin)).sitemaps;
+  }
+
+  // Run task(item) for every item with at most `concurrency` running at once.
+  // A failing item is recorded and does not stop the others.
+  async run(items, task) {
+    const startedAt = Date.now();
+    const succeeded = [];
+    const failed = [];
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        const item = items[index];
+        try {
+          succeeded.push({ index, item, result: await task(item) });
+        } catch (error) {
+          failed.push({ index, item, error: error.message, code: error.code || (error.status ? `http-${error.status}` : 'error') });
+        }
+      }
+    };
+
+    const workers = Math.min(this.options.concurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    // Report in input order rather than completion order
+    succeeded.sort((a, b) => a.index - b.index);
+    failed.sort((a, b) => a.index - b.index);
+
+    return {
+      succeeded,
+      failed,
+      summary: {
+        attempted: items.length,
+        succeeded: succeeded.length,
+        failed: failed.length,
+        ...this.stats,
+        durationMs: Date.now() - startedAt
+      }
+    };
+  }
+}
+
+export { CrawlController, isTransient };
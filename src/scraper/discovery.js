@@ -0,0 +1,56 @@
+import { decodeXML } from 'entities';
+import { resolveHref } from './html-extractor.js';
+
+// Link text of "next page" and "load more" controls
+const NEXT_LINK_TEXT = /^(next( page)?|older( posts| entries)?|more|load more|show more|view more|[›»→])(\s*[›»→])?$/i;
+
+// Attributes that "load more" buttons commonly keep their target URL in
+const LOAD_MORE_ATTRIBUTES = ['data-next-url', 'data-next', 'data-href', 'data-url'];
+
+// Links to further listing pages: rel="next", "next" and "load more" controls,
+// and numbered page links
+function extractPaginationLinks(document, pageUrl) {
+  const hrefs = [];
+
+  document.querySelectorAll('a[rel~="next"], link[rel~="next"]')
+    .forEach(element => hrefs.push(element.getAttribute('href')));
+
+  document.querySelectorAll('a[href], button').forEach(element => {
+    if (NEXT_LINK_TEXT.test(element.textContent?.trim() || '') || /load-?more|pagination-next/i.test(element.getAttribute('class') || '')) {
+      hrefs.push(element.getAttribute('href'));
+      LOAD_MORE_ATTRIBUTES.forEach(attribute => hrefs.push(element.getAttribute(attribute)));
+    }
+  });
+
+  document.querySelectorAll('a[href*="page="], a[href*="/page/"]')
+    .forEach(element => hrefs.push(element.getAttribute('href')));
+
+  return [...new Set(hrefs.filter(Boolean).map(href => resolveHref(href, pageUrl)).filter(Boolean))];
+}
+
+// Page URLs and nested sitemap URLs from a sitemap or sitemap index
+function parseSitemap(xml) {
+  const locs = block => [...block.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)].map(match => decodeXML(match[1]));
+
+  const sitemaps = [...xml.matchAll(/<sitemap\b[\s\S]*?<\/sitemap>/gi)].flatMap(match => locs(match[0]));
+  const urls = [...xml.matchAll(/<url\b[\s\S]*?<\/url>/gi)].flatMap(match => locs(match[0]));
+
+  return { urls, sitemaps };
+}
+
+// "*" matches any run of characters; everything else is literal
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Predicate for URLs matching at least one include pattern and no exclude pattern
+function createUrlFilter({ include = [], exclude = [] } = {}) {
+  const includes = include.map(globToRegExp);
+  const excludes = exclude.map(globToRegExp);
+
+  return url => (includes.length === 0 || includes.some(pattern => pattern.test(url))) &&
+    !excludes.some(pattern => pattern.test(url));
+}
+
+export { extractPaginationLinks, parseSitemap, createUrlFilter, globToRegExp };
@@ -0,0 +1,56 @@
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Fetches pages over plain HTTP without running their scripts. Much lighter
+// than a browser and enough for static pages.
+class HttpFetcher {
+  constructor(options = {}) {
+    this.name = 'http';
+    this.options = {
+      timeout: 30000,
+      ...options
+    };
+  }
+
+  async init() {}
+
+  // options.headers adds request headers, such as If-None-Match for a
+  // conditional request; a 304 answer comes back with an empty body
+  async fetch(url, options = {}) {
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+          ...options.headers
+        },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(this.options.timeout)
+      });
+    } catch (error) {
+      throw new Error(`Could not fetch ${url}: ${(error.cause?.message || error.message).trim()}`);
+    }
+
+    if (response.status === 304) {
+      return { url, status: 304, headers: Object.fromEntries(response.headers), html: '' };
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} for ${url}`);
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers);
+      throw error;
+    }
+
+    return {
+      url: response.url || url,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      html: await response.text()
+    };
+  }
+
+  async close() {}
+}
+
+export { HttpFetcher, USER_AGENT };
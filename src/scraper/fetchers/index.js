@@ -0,0 +1,18 @@
+import { HttpFetcher } from './http-fetcher.js';
+import { PuppeteerFetcher } from './puppeteer-fetcher.js';
+
+// Every fetcher has init(), fetch(url, { headers }) -> { url, status, headers, html } and close()
+const FETCHERS = {
+  http: HttpFetcher,
+  puppeteer: PuppeteerFetcher
+};
+
+function createFetcher(name, options = {}) {
+  const Fetcher = FETCHERS[name];
+  if (!Fetcher) {
+    throw new Error(`Unknown fetcher "${name}", expected one of: ${Object.keys(FETCHERS).join(', ')}`);
+  }
+  return new Fetcher(options);
+}
+
+export { createFetcher, FETCHERS };
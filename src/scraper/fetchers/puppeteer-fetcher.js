@@ -0,0 +1,118 @@
+import { logger } from '../../utils/logger.js';
+import { sleep } from '../../utils/retry.js';
+import { USER_AGENT } from './http-fetcher.js';
+
+// Renders pages in headless Chromium, for sites that build their content with
+// JavaScript
+class PuppeteerFetcher {
+  constructor(options = {}) {
+    this.name = 'puppeteer';
+    this.browser = null;
+    this.options = {
+      headless: true,
+      timeout: 30000,
+      settleMs: 2000,
+      ...options
+    };
+  }
+
+  async init() {
+    try {
+      logger.info('Initializing browser...');
+      // Loaded on demand so the HTTP fetcher works where Chromium is not installed
+      const { default: puppeteer } = await import('puppeteer');
+      this.browser = await puppeteer.launch({
+        headless: this.options.headless,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu'
+        ]
+      });
+
+      logger.info('Browser initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize browser:', error);
+      throw error;
+    }
+  }
+
+  // A fresh tab per request, so several pages can be fetched at once
+  async newPage() {
+    const page = await this.browser.newPage();
+
+    // Set user agent to avoid bot detection
+    await page.setUserAgent(USER_AGENT);
+
+    // Set viewport
+    await page.setViewport({ width: 1366, height: 768 });
+    page.setDefaultNavigationTimeout(this.options.timeout);
+
+    return page;
+  }
+
+  // Request headers in options are ignored: Chromium manages its own cache, so
+  // conditional requests are left to the HTTP fetcher
+  async fetch(url) {
+    const page = await this.newPage();
+    try {
+      const response = await page.goto(url, { waitUntil: 'networkidle2' });
+      const status = response ? response.status() : 200;
+      const headers = response ? response.headers() : {};
+
+      if (status >= 400) {
+        const error = new Error(`HTTP ${status} for ${url}`);
+        error.status = status;
+        error.headers = headers;
+        throw error;
+      }
+
+      // Anything but HTML (a sitemap, robots.txt) is returned as served, not as
+      // Chromium's viewer page
+      if (!/html/i.test(headers['content-type'] || 'text/html')) {
+        return { url: page.url(), status, headers, html: await response.text() };
+      }
+
+      // Give scripts a moment to render content after the network settles
+      await sleep(this.options.settleMs);
+
+      return { url: page.url(), status, headers, html: await page.content() };
+    } catch (error) {
+      if (error.status === undefined) {
+        await this.saveDebugScreenshot(page);
+      }
+      throw error;
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async saveDebugScreenshot(page) {
+    try {
+      await page.screenshot({
+        path: `logs/debug-${Date.now()}.png`,
+        fullPage: true
+      });
+      logger.info('Debug screenshot saved to logs directory');
+    } catch (screenshotError) {
+      logger.warn('Could not save debug screenshot:', screenshotError);
+    }
+  }
+
+  async close() {
+    try {
+      if (this.browser) {
+        await this.browser.close();
+      }
+      logger.info('Browser closed successfully');
+    } catch (error) {
+      logger.error('Error closing browser:', error);
+    }
+  }
+}
+
+export { PuppeteerFetcher };
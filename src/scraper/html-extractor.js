@@ -0,0 +1,121 @@
+import { parseHTML } from 'linkedom';
+import { extractMainContent, blockText } from './readability.js';
+
+// Selectors tried in order when looking for interview links on a listing page
+const LINK_SELECTORS = [
+  'a[href*="/interviews/"]',
+  'a[href*="interview"]',
+  '.interview-link',
+  '.interview a',
+  '[data-interview]'
+];
+
+const UNTITLED = 'Untitled Interview';
+
+function parseDocument(html) {
+  return parseHTML(html).document;
+}
+
+// Resolve an href against the page URL; returns null for unusable links
+function resolveHref(href, pageUrl) {
+  try {
+    const url = new URL(href, pageUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function collectHrefs(elements, pageUrl) {
+  return elements
+    .map(element => element.getAttribute('href'))
+    .filter(Boolean)
+    .map(href => resolveHref(href, pageUrl))
+    .filter(href => href && href.toLowerCase().includes('interview'));
+}
+
+// Interview links on a listing page, trying the known selectors before
+// falling back to every link that mentions "interview"
+function extractInterviewLinks(document, pageUrl) {
+  for (const selector of LINK_SELECTORS) {
+    const urls = collectHrefs(Array.from(document.querySelectorAll(selector)), pageUrl);
+    if (urls.length > 0) {
+      return { urls, selector };
+    }
+  }
+
+  return { urls: collectHrefs(Array.from(document.querySelectorAll('a[href]')), pageUrl), selector: 'fallback' };
+}
+
+function textOf(element) {
+  return element?.textContent?.trim() || '';
+}
+
+function extractTitle(document, rule) {
+  const candidates = [
+    rule?.title && textOf(document.querySelector(rule.title)),
+    document.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim(),
+    textOf(document.querySelector('h1')),
+    textOf(document.querySelector('title'))
+  ];
+  return candidates.find(Boolean) || UNTITLED;
+}
+
+// True for a real calendar day, so 2024-13-45 or 2023-02-29 is rejected
+function isCalendarDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Publication date as YYYY-MM-DD, from the rule's date selector or the usual
+// article metadata. An impossible date falls through to the next candidate.
+function extractDate(document, rule) {
+  const elements = [
+    rule?.date && document.querySelector(rule.date),
+    document.querySelector('meta[property="article:published_time"]'),
+    document.querySelector('time[datetime]')
+  ].filter(Boolean);
+
+  for (const element of elements) {
+    const value = element.getAttribute('datetime') || element.getAttribute('content') || textOf(element);
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      if (isCalendarDate(value.slice(0, 10))) {
+        return value.slice(0, 10);
+      }
+      continue;
+    }
+    const parsed = Date.parse(value);
+    if (!Number.isNaN(parsed)) {
+      return new Date(parsed).toISOString().slice(0, 10);
+    }
+  }
+  return null;
+}
+
+// Interview title, text and date from an interview page. A site rule's body
+// selector wins; otherwise the main content is found by Readability-style
+// scoring, with the whole body as a last resort. Each result records the
+// method used and a confidence between 0 and 1.
+function extractInterviewContent(document, rule = null) {
+  const title = extractTitle(document, rule);
+  const publishedAt = extractDate(document, rule);
+  const result = (content, method, confidence) => ({ title, content, publishedAt, method, confidence });
+
+  if (rule) {
+    rule.remove.forEach(selector => document.querySelectorAll(selector).forEach(element => element.remove()));
+    const body = document.querySelector(rule.body);
+    if (body && textOf(body)) {
+      return result(blockText(body), 'site-rule', 1);
+    }
+  }
+
+  const main = extractMainContent(document);
+  if (main && main.content) {
+    return result(main.content, 'readability', main.confidence);
+  }
+
+  const bodyText = textOf(document.body);
+  return bodyText ? result(bodyText, 'body', 0.1) : null;
+}
+
+export { parseDocument, extractInterviewLinks, extractInterviewContent, resolveHref, UNTITLED };
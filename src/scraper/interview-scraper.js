@@ -1,233 +1,329 @@
-import puppeteer from 'puppeteer';
 import { logger } from '../utils/logger.js';
+import { normalizeText } from '../utils/text-normalizer.js';
+import { canonicalizeUrl, isListingPage, contentHash } from '../services/corpus-normalizer.js';
+import { diffParagraphs, formatDiff } from '../utils/text-diff.js';
+import { createFetcher } from './fetchers/index.js';
+import { parseDocument, extractInterviewLinks, extractInterviewContent } from './html-extractor.js';
+import { extractPaginationLinks, parseSitemap, createUrlFilter } from './discovery.js';
+import { CrawlController } from './crawl-controller.js';
+import { loadSiteRules, findSiteRule } from './site-rules.js';
+import { SnapshotArchive } from './snapshot-archive.js';
+
+const MAX_SITEMAPS = 20;
 
 class InterviewScraper {
   constructor(options = {}) {
-    this.baseUrl = 'https://www.rickowens.eu/en/US/interviews';
-    this.browser = null;
-    this.page = null;
+    if (!options.baseUrl) {
+      throw new Error("No listing page to scrape: set SCRAPER_BASE_URL or the persona's source.listingUrl");
+    }
+
+    this.baseUrl = options.baseUrl;
     this.options = {
+      fetcher: 'puppeteer',
       headless: true,
       timeout: 30000,
-      waitForSelector: 'a[href*="/interviews/"]',
+      include: [],
+      exclude: [],
+      maxPages: 50,
+      sitemap: true,
+      sitemapUrl: null,
+      concurrency: 3,
+      requestDelayMs: 1000,
+      maxRetries: 3,
+      respectRobots: true,
+      siteRulesFile: null,
+      archiveDir: null,
       ...options
     };
+    this.siteRules = {};
+    this.archive = this.options.archiveDir ? new SnapshotArchive({ archiveDir: this.options.archiveDir }) : null;
+
+    // Interviews live below the listing page unless include patterns say otherwise
+    const baseCanonicalUrl = canonicalizeUrl(this.baseUrl);
+    this.matchesPatterns = createUrlFilter({
+      include: this.options.include.length > 0 ? this.options.include : [`${baseCanonicalUrl}/*`],
+      exclude: this.options.exclude
+    });
+    this.baseCanonicalUrl = baseCanonicalUrl;
+    this.fetcher = createFetcher(this.options.fetcher, {
+      headless: this.options.headless,
+      timeout: this.options.timeout
+    });
+    this.crawler = new CrawlController(this.fetcher, {
+      concurrency: this.options.concurrency,
+      requestDelayMs: this.options.requestDelayMs,
+      maxRetries: this.options.maxRetries,
+      respectRobots: this.options.respectRobots
+    });
   }
 
   async init() {
+    logger.info(`Using the ${this.fetcher.name} fetcher`);
+    await this.loadSiteRules();
+    await this.fetcher.init();
+  }
+
+  async loadSiteRules() {
+    if (this.options.siteRulesFile) {
+      this.siteRules = await loadSiteRules(this.options.siteRulesFile);
+    }
+  }
+
+  // Fetch a page and keep its raw HTML in the snapshot archive
+  async fetchPage(url, kind, fetchOptions = {}) {
+    const page = await this.crawler.fetch(url, fetchOptions);
+    if (this.archive && page.status !== 304) {
+      await this.archive.record(url, page, kind);
+    }
+    return page;
+  }
+
+  // Accepts a canonical URL as an interview page: never the listing page itself
+  // or another listing page, and only when it passes the include and exclude patterns
+  isInterviewUrl(canonicalUrl) {
+    return canonicalUrl !== this.baseCanonicalUrl &&
+      !isListingPage(canonicalUrl) &&
+      this.matchesPatterns(canonicalUrl);
+  }
+
+  // Discover interview URLs from every listing page and from the sitemap.
+  // URLs are compared in canonical form but fetched as discovered, since
+  // canonical URLs are https.
+  async getInterviewUrls() {
+    const byCanonicalUrl = new Map();
+    const addCandidate = url => {
+      const canonicalUrl = canonicalizeUrl(url);
+      if (canonicalUrl && this.isInterviewUrl(canonicalUrl) && !byCanonicalUrl.has(canonicalUrl)) {
+        byCanonicalUrl.set(canonicalUrl, url);
+      }
+    };
+
     try {
-      logger.info('Initializing browser...');
-      this.browser = await puppeteer.launch({
-        headless: this.options.headless,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-
-      this.page = await this.browser.newPage();
-
-      // Set user agent to avoid bot detection
-      await this.page.setUserAgent(
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      );
-
-      // Set viewport
-      await this.page.setViewport({ width: 1366, height: 768 });
-
-      logger.info('Browser initialized successfully');
+      const listingUrls = await this.crawlListingPages();
+      listingUrls.forEach(addCandidate);
     } catch (error) {
-      logger.error('Failed to initialize browser:', error);
+      logger.error('Failed to get interview URLs:', error);
       throw error;
     }
+
+    if (this.options.sitemap) {
+      const fromListings = byCanonicalUrl.size;
+      (await this.readSitemap()).forEach(addCandidate);
+      logger.info(`Sitemap added ${byCanonicalUrl.size - fromListings} interview URLs`);
+    }
+
+    const interviewUrls = [...byCanonicalUrl.values()];
+    logger.info(`Found ${interviewUrls.length} total interview URLs`);
+    return interviewUrls;
   }
 
-  async getInterviewUrls() {
-    try {
-      logger.info('Navigating to interviews page...');
-      await this.page.goto(this.baseUrl, { waitUntil: 'networkidle2' });
-
-      // Wait for the page to load and look for interview links
-      await this.page.waitForTimeout(3000);
-
-      // Try different selectors for interview links
-      const selectors = [
-        'a[href*="/interviews/"]',
-        'a[href*="interview"]',
-        '.interview-link',
-        '.interview a',
-        '[data-interview]'
-      ];
-
-      let interviewUrls = [];
-
-      for (const selector of selectors) {
-        try {
-          await this.page.waitForSelector(selector, { timeout: 5000 });
-
-          interviewUrls = await this.page.evaluate((sel) => {
-            const links = Array.from(document.querySelectorAll(sel));
-            return links
-              .map(link => link.href)
-              .filter(href => href && href.includes('interview'))
-              .map(href => new URL(href).href); // Normalize URLs
-          }, selector);
-
-          if (interviewUrls.length > 0) {
-            logger.info(`Found ${interviewUrls.length} interview URLs using selector: ${selector}`);
-            break;
-          }
-        } catch (selectorError) {
-          logger.debug(`Selector ${selector} not found, trying next...`);
-          continue;
-        }
+  // Follow pagination and "load more" links from the listing page, collecting
+  // interview links from each page. Stays on the listing page's host.
+  async crawlListingPages() {
+    const host = new URL(this.baseUrl).host;
+    const queue = [this.baseUrl];
+    const visited = new Set();
+    const urls = [];
+
+    while (queue.length > 0 && visited.size < this.options.maxPages) {
+      const pageUrl = queue.shift();
+      const canonicalPageUrl = canonicalizeUrl(pageUrl);
+      if (visited.has(canonicalPageUrl)) continue;
+      visited.add(canonicalPageUrl);
+
+      logger.info(`Fetching listing page ${visited.size}: ${pageUrl}`);
+      let page;
+      try {
+        page = await this.fetchPage(pageUrl, 'listing');
+      } catch (error) {
+        // Only the first listing page is required
+        if (visited.size === 1) throw error;
+        logger.warn(`Skipping listing page ${pageUrl}: ${error.message}`);
+        continue;
       }
 
-      // If no specific selectors work, try to find all links and filter
-      if (interviewUrls.length === 0) {
-        logger.info('Trying fallback method to find interview links...');
-        interviewUrls = await this.page.evaluate(() => {
-          const links = Array.from(document.querySelectorAll('a[href]'));
-          return links
-            .map(link => link.href)
-            .filter(href =>
-              href &&
-              (href.toLowerCase().includes('interview') ||
-               href.includes('/interviews/'))
-            )
-            .map(href => new URL(href).href);
-        });
+      const document = parseDocument(page.html);
+      const { urls: links, selector } = extractInterviewLinks(document, page.url);
+      logger.debug(`Found ${links.length} links on ${pageUrl} using selector: ${selector}`);
+      urls.push(...links);
+
+      for (const next of extractPaginationLinks(document, page.url)) {
+        const canonicalNext = canonicalizeUrl(next);
+        if (new URL(next).host === host && !visited.has(canonicalNext) && !this.isInterviewUrl(canonicalNext)) {
+          queue.push(next);
+        }
       }
+    }
 
-      // Remove duplicates
-      interviewUrls = [...new Set(interviewUrls)];
+    if (queue.length > 0) {
+      logger.warn(`Stopped after ${this.options.maxPages} listing pages; raise SCRAPER_MAX_PAGES to crawl more`);
+    }
 
-      logger.info(`Found ${interviewUrls.length} total interview URLs`);
-      return interviewUrls;
+    logger.info(`Read ${visited.size} listing pages`);
+    return urls;
+  }
 
-    } catch (error) {
-      logger.error('Failed to get interview URLs:', error);
+  // Page URLs from the sitemap, following sitemap indexes. A missing sitemap is not an error.
+  async readSitemap() {
+    const robotsSitemaps = await this.crawler.getSitemaps(this.baseUrl);
+    const queue = this.options.sitemapUrl
+      ? [this.options.sitemapUrl]
+      : [...new Set([new URL('/sitemap.xml', this.baseUrl).href, ...robotsSitemaps])];
+    const visited = new Set();
+    const urls = [];
+
+    while (queue.length > 0 && visited.size < MAX_SITEMAPS) {
+      const sitemapUrl = queue.shift();
+      if (visited.has(sitemapUrl)) continue;
+      visited.add(sitemapUrl);
 
-      // Take a screenshot for debugging
       try {
-        await this.page.screenshot({
-          path: `logs/debug-${Date.now()}.png`,
-          fullPage: true
-        });
-        logger.info('Debug screenshot saved to logs directory');
-      } catch (screenshotError) {
-        logger.warn('Could not save debug screenshot:', screenshotError);
+        const { html } = await this.crawler.fetch(sitemapUrl);
+        const sitemap = parseSitemap(html);
+        urls.push(...sitemap.urls);
+        queue.push(...sitemap.sitemaps);
+      } catch (error) {
+        logger.info(`No sitemap read from ${sitemapUrl}: ${error.message}`);
       }
-
-      throw error;
     }
+
+    return urls;
   }
 
   async scrapeInterview(url) {
     try {
       logger.info(`Scraping interview: ${url}`);
 
-      await this.page.goto(url, { waitUntil: 'networkidle2' });
-      await this.page.waitForTimeout(2000);
-
-      const interviewData = await this.page.evaluate(() => {
-        // Try multiple strategies to extract interview content
-        const strategies = [
-          // Strategy 1: Look for common interview containers
-          () => {
-            const containers = [
-              '.interview-content',
-              '.interview-text',
-              '.content',
-              '.article-content',
-              'article',
-              '.main-content'
-            ];
-
-            for (const container of containers) {
-              const element = document.querySelector(container);
-              if (element) {
-                return {
-                  title: document.querySelector('h1, .title, .interview-title')?.textContent?.trim() || 'Untitled Interview',
-                  content: element.textContent?.trim() || '',
-                  source: 'container'
-                };
-              }
-            }
-            return null;
-          },
-
-          // Strategy 2: Look for paragraph content
-          () => {
-            const paragraphs = Array.from(document.querySelectorAll('p'));
-            const content = paragraphs
-              .map(p => p.textContent?.trim())
-              .filter(text => text && text.length > 50) // Filter out short paragraphs
-              .join('\\n\\n');
-
-            if (content) {
-              return {
-                title: document.querySelector('h1, title')?.textContent?.trim() || 'Untitled Interview',
-                content: content,
-                source: 'paragraphs'
-              };
-            }
-            return null;
-          },
-
-          // Strategy 3: Get all text content as fallback
-          () => {
-            const bodyText = document.body.textContent?.trim() || '';
-            if (bodyText.length > 500) {
-              return {
-                title: document.querySelector('h1, title')?.textContent?.trim() || 'Untitled Interview',
-                content: bodyText,
-                source: 'body'
-              };
-            }
-            return null;
-          }
-        ];
-
-        for (const strategy of strategies) {
-          const result = strategy();
-          if (result && result.content) {
-            return result;
-          }
-        }
+      const page = await this.fetchPage(url, 'interview');
+      const interviewData = this.parseInterviewPage(url, page.html, new Date().toISOString());
+      Object.assign(interviewData, this.getCacheValidators(page));
 
-        return null;
-      });
+      logger.info(`Successfully scraped interview: ${interviewData.title} (${interviewData.content.length} characters, ${interviewData.method} ${interviewData.confidence})`);
+      return interviewData;
 
-      if (!interviewData || !interviewData.content) {
-        throw new Error('Could not extract interview content');
-      }
+    } catch (error) {
+      logger.error(`Failed to scrape interview ${url}:`, error);
+      throw error;
+    }
+  }
 
-      // Clean up the content
-      interviewData.content = this.cleanContent(interviewData.content);
-      interviewData.url = url;
-      interviewData.scrapedAt = new Date().toISOString();
+  // Extract an interview from raw HTML. Shared by live scraping and re-extraction
+  // from the snapshot archive.
+  parseInterviewPage(url, html, scrapedAt) {
+    const rule = findSiteRule(this.siteRules, url);
+    const interviewData = extractInterviewContent(parseDocument(html), rule);
 
-      logger.info(`Successfully scraped interview: ${interviewData.title} (${interviewData.content.length} characters)`);
-      return interviewData;
+    if (!interviewData || !interviewData.content) {
+      throw new Error('Could not extract interview content');
+    }
+
+    if (rule && interviewData.method !== 'site-rule') {
+      logger.warn(`Site rule body selector matched nothing on ${url}; used ${interviewData.method} extraction`);
+    }
+    if (interviewData.confidence < 0.5) {
+      logger.warn(`Low extraction confidence (${interviewData.confidence}, ${interviewData.method}) for ${url}`);
+    }
+
+    // Clean up the content
+    interviewData.content = this.cleanContent(interviewData.content);
+    interviewData.url = url;
+    interviewData.scrapedAt = scrapedAt;
 
+    return interviewData;
+  }
+
+  getCacheValidators(page) {
+    return {
+      etag: page.headers.etag || null,
+      lastModified: page.headers['last-modified'] || null
+    };
+  }
+
+  // Re-fetch a corpus entry and compare it with the stored text. Sends the
+  // stored ETag and Last-Modified so an unchanged page can answer 304.
+  async checkInterview(entry) {
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    let page;
+    try {
+      page = await this.fetchPage(entry.url, 'interview', { headers });
     } catch (error) {
-      logger.error(`Failed to scrape interview ${url}:`, error);
+      if (error.status === 404 || error.status === 410) {
+        logger.warn(`Interview is gone (HTTP ${error.status}): ${entry.url}`);
+        return { url: entry.url, status: 'retired', httpStatus: error.status };
+      }
       throw error;
     }
+
+    if (page.status === 304) {
+      return { url: entry.url, status: 'unchanged', notModified: true };
+    }
+
+    const interview = this.parseInterviewPage(entry.url, page.html, new Date().toISOString());
+    Object.assign(interview, this.getCacheValidators(page));
+
+    // Compare with the hash of what was extracted at scrape time, so edits to
+    // the stored text are not mistaken for edits to the page. Entries scraped
+    // before the hash was recorded fall back to their text. Both ignore case,
+    // punctuation and whitespace, like corpus deduplication.
+    const previousText = this.cleanContent(entry.text);
+    const previousHash = entry.extraction?.contentHash || contentHash(previousText);
+    if (contentHash(interview.content) === previousHash) {
+      return { url: entry.url, status: 'unchanged', interview };
+    }
+
+    const diff = formatDiff(diffParagraphs(previousText, interview.content));
+    logger.info(`Interview changed: ${entry.url}`);
+    return { url: entry.url, status: 'changed', interview, diff };
+  }
+
+  // Check every scraped corpus entry of this site for edits and removals.
+  // Curated and already retired entries are left alone.
+  async checkForChanges(entries) {
+    const eligible = entries.filter(entry => {
+      const url = entry?.url && canonicalizeUrl(entry.url);
+      // Only entries this scraper produced; imported ones came from another extractor
+      return url && entry.scrapedAt && !entry.curated && !entry.retiredAt && this.isInterviewUrl(url);
+    });
+    logger.info(`Checking ${eligible.length} interviews for changes`);
+
+    const { succeeded, failed, summary } = await this.crawler.run(eligible, entry => this.checkInterview(entry));
+
+    return {
+      checks: succeeded.map(({ result }) => result),
+      failed: failed.map(({ item, error, code }) => ({ url: item.url, error, code })),
+      summary
+    };
   }
 
   cleanContent(content) {
-    return content
-      .replace(/\\s+/g, ' ') // Replace multiple whitespace with single space
-      .replace(/\\n\\s*\\n/g, '\\n\\n') // Clean up paragraph breaks
-      .replace(/[^\\x20-\\x7E\\n]/g, '') // Remove non-printable characters except newlines
-      .trim();
+    return normalizeText(content);
+  }
+
+  // Discover interview URLs and scrape the ones not in knownUrls, several at a
+  // time. A failed page is logged and skipped so one bad page does not abort the run.
+  async scrapeNewInterviews(knownUrls, options = {}) {
+    const urls = await this.getInterviewUrls();
+    let newUrls = urls.filter(url => !knownUrls.has(canonicalizeUrl(url)));
+
+    logger.info(`${newUrls.length} of ${urls.length} discovered interviews are new`);
+
+    if (options.limit) {
+      newUrls = newUrls.slice(0, options.limit);
+    }
+
+    const { succeeded, failed, summary } = await this.crawler.run(newUrls, url => this.scrapeInterview(url));
+    logger.info(`Scraped ${summary.succeeded} of ${summary.attempted} interviews in ${Math.round(summary.durationMs / 1000)}s ` +
+      `(${summary.requests} requests, ${summary.retries} retries, ${summary.robotsBlocked} blocked by robots.txt)`);
+
+    return {
+      discovered: urls.length,
+      scraped: succeeded.map(({ result }) => result),
+      failed: failed.map(({ item, error, code }) => ({ url: item, error, code })),
+      summary
+    };
   }
 
   async getRandomInterview() {
@@ -251,18 +347,11 @@ class InterviewScraper {
   }
 
   async close() {
-    try {
-      if (this.page) {
-        await this.page.close();
-      }
-      if (this.browser) {
-        await this.browser.close();
-      }
-      logger.info('Browser closed successfully');
-    } catch (error) {
-      logger.error('Error closing browser:', error);
+    if (this.archive) {
+      await this.archive.save();
     }
+    await this.fetcher.close();
   }
 }
 
-export { InterviewScraper };
\ No newline at end of file
+export { InterviewScraper };
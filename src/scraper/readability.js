@@ -0,0 +1,133 @@
+// Main-content detection in the style of Mozilla's Readability: paragraphs
+// score their ancestors by length and comma count, scores are damped by link
+// density, and the best-scoring element (plus related siblings) is the article.
+
+const UNLIKELY_TAGS = 'script, style, noscript, iframe, nav, header, footer, aside, form, svg, button, select';
+const UNLIKELY_CANDIDATE = /banner|breadcrumb|combx|comment|community|cookie|consent|disqus|footer|gdpr|header|legends|menu|modal|newsletter|popup|related|remark|rss|share|shoutbox|sidebar|social|sponsor|subscribe|tags|tool/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|interview|main|shadow|story|text/i;
+const POSITIVE = /article|body|content|entry|hentry|interview|main|page|post|story|text|transcript/i;
+const NEGATIVE = /hidden|banner|combx|comment|contact|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|tags|widget/i;
+
+const SCORED_TAGS = 'p, pre, td, blockquote, li';
+const BLOCK_TAGS = 'p, h2, h3, h4, h5, h6, li, blockquote, pre';
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function textOf(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function classWeight(element) {
+  const names = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+  let weight = 0;
+  if (NEGATIVE.test(names)) weight -= 25;
+  if (POSITIVE.test(names)) weight += 25;
+  return weight;
+}
+
+function initialScore(element) {
+  const base = {
+    ARTICLE: 10, MAIN: 10, SECTION: 5, DIV: 5,
+    PRE: 3, TD: 3, BLOCKQUOTE: 3,
+    ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+    H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+  }[element.tagName] || 0;
+  return base + classWeight(element);
+}
+
+function linkDensity(element) {
+  const length = textOf(element).length;
+  if (length === 0) return 0;
+  const linkLength = Array.from(element.querySelectorAll('a'))
+    .reduce((sum, link) => sum + textOf(link).length, 0);
+  return linkLength / length;
+}
+
+// Strip elements that never hold the article, in place
+function removeUnlikely(document) {
+  document.querySelectorAll(UNLIKELY_TAGS).forEach(element => element.remove());
+  document.querySelectorAll('[class], [id]').forEach(element => {
+    const names = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+    if (element.tagName !== 'BODY' && UNLIKELY_CANDIDATE.test(names) && !MAYBE_CANDIDATE.test(names)) {
+      element.remove();
+    }
+  });
+}
+
+// Paragraph text of an element, one block per paragraph
+function blockText(element) {
+  const blocks = Array.from(element.querySelectorAll(BLOCK_TAGS))
+    // Skip blocks nested in another block so their text is not repeated
+    .filter(block => {
+      const outer = block.parentElement?.closest(BLOCK_TAGS);
+      return !outer || !element.contains(outer);
+    })
+    .map(textOf)
+    .filter(text => text.length > 0);
+
+  return blocks.length > 0 ? blocks.join('\n\n') : textOf(element);
+}
+
+// Returns { content, confidence } for the most likely article element, or null
+function extractMainContent(document) {
+  removeUnlikely(document);
+
+  const scores = new Map();
+  const addScore = (element, amount) => {
+    if (!element || !element.tagName || element.tagName === 'HTML') return;
+    if (!scores.has(element)) scores.set(element, initialScore(element));
+    scores.set(element, scores.get(element) + amount);
+  };
+
+  document.querySelectorAll(SCORED_TAGS).forEach(paragraph => {
+    const text = textOf(paragraph);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, score);
+    addScore(paragraph.parentElement?.parentElement, score / 2);
+  });
+
+  const candidates = [...scores]
+    .map(([element, score]) => ({ element, score: score * (1 - linkDensity(element)) }))
+    .sort((a, b) => b.score - a.score);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // The runner-up is the best candidate that neither contains nor sits inside the winner
+  const top = candidates[0];
+  const second = candidates.find(candidate =>
+    candidate !== top && !candidate.element.contains(top.element) && !top.element.contains(candidate.element)
+  );
+
+  // Siblings that score well or read like paragraphs belong to the article too
+  const threshold = Math.max(10, top.score * 0.2);
+  const parts = [];
+  const siblings = top.element.parentElement ? Array.from(top.element.parentElement.children) : [top.element];
+  for (const sibling of siblings) {
+    if (sibling === top.element) {
+      parts.push(blockText(sibling));
+      continue;
+    }
+
+    const siblingScore = candidates.find(candidate => candidate.element === sibling)?.score || 0;
+    const text = textOf(sibling);
+    const isParagraph = sibling.tagName === 'P' && text.length > 80 && linkDensity(sibling) < 0.25;
+    if (siblingScore >= threshold || isParagraph) {
+      parts.push(blockText(sibling));
+    }
+  }
+
+  const content = parts.filter(part => part.length > 0).join('\n\n');
+
+  // Confidence: enough text, few links, and a clear winner over the runner-up
+  const lengthFactor = Math.min(1, content.length / 2000);
+  const linkFactor = 1 - linkDensity(top.element);
+  const dominance = second ? top.score / (top.score + Math.max(second.score, 0)) : 1;
+  const confidence = Math.round(((lengthFactor + linkFactor + dominance) / 3) * 100) / 100;
+
+  return { content, confidence };
+}
+
+export { extractMainContent, blockText, linkDensity };
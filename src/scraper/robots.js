@@ -0,0 +1,81 @@
+// robots.txt parsing and matching as described in RFC 9309: the group for the
+// most specific matching user agent applies, and within it the longest
+// matching rule wins, with Allow winning ties.
+
+function parseRobots(text, userAgent) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (current && field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (!Number.isNaN(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  const agentToken = userAgent.toLowerCase();
+  const group = groups.find(candidate => candidate.agents.some(agent => agent !== '*' && agentToken.includes(agent))) ||
+    groups.find(candidate => candidate.agents.includes('*'));
+
+  return {
+    rules: group ? group.rules : [],
+    crawlDelayMs: group?.crawlDelay != null ? group.crawlDelay * 1000 : null,
+    sitemaps
+  };
+}
+
+function patternToRegExp(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return best ? best.allow : true;
+}
+
+// Rules used when robots.txt is missing (allow all) or unreachable (disallow all)
+const ALLOW_ALL = { rules: [], crawlDelayMs: null, sitemaps: [] };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/' }], crawlDelayMs: null, sitemaps: [] };
+
+export { parseRobots, isAllowedByRobots, ALLOW_ALL, DISALLOW_ALL };
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import Joi from 'joi';
+import { logger } from '../utils/logger.js';
+
+// Per-domain extraction rules, keyed by hostname:
+//
+//   {
+//     "www.rickowens.eu": {
+//       "title": "h1.interview-title",
+//       "body": ".interview-body",
+//       "date": "time[datetime]",
+//       "remove": [".share-links", ".newsletter"]
+//     }
+//   }
+const selector = Joi.string().trim().min(1);
+const siteRuleSchema = Joi.object({
+  title: selector.optional(),
+  body: selector.required(),
+  date: selector.optional(),
+  remove: Joi.array().items(selector).default([])
+});
+const siteRulesSchema = Joi.object().pattern(Joi.string().hostname(), siteRuleSchema);
+
+// A missing file means no rules; an invalid one is an error
+async function loadSiteRules(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Could not read site rules ${filePath}: ${error.message}`);
+  }
+
+  const { error, value } = siteRulesSchema.validate(data);
+  if (error) {
+    throw new Error(`Invalid site rules in ${filePath}: ${error.message}`);
+  }
+
+  logger.info(`Loaded extraction rules for ${Object.keys(value).length} sites from ${filePath}`);
+  return value;
+}
+
+// The rule for a URL's host, falling back to the host without "www." and to
+// parent domains, so "rickowens.eu" also covers "www.rickowens.eu"
+function findSiteRule(rules, url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  const labels = host.split('.');
+  // Stop before the bare top-level domain, but still try a single-label host such as localhost
+  for (let i = 0; i < Math.max(labels.length - 1, 1); i++) {
+    const rule = rules[labels.slice(i).join('.')];
+    if (rule) return rule;
+  }
+  return null;
+}
+
+export { loadSiteRules, findSiteRule };
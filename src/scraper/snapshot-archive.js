@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { logger } from '../utils/logger.js';
+import { canonicalizeUrl } from '../services/corpus-normalizer.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Raw HTML of every fetched page, so extraction can be re-run without the
+// network. Bodies are stored gzipped under their SHA-256, so an unchanged page
+// is stored once; index.json lists every fetch of every URL:
+//
+//   { "version": 1, "pages": { "<canonical url>": [{ fetchedAt, requestedUrl, finalUrl, status, headers, contentHash, kind }] } }
+//
+// The index is keyed by canonical URL; requestedUrl keeps the URL as fetched,
+// which is the one stored in the corpus.
+class SnapshotArchive {
+  constructor(options = {}) {
+    this.archiveDir = options.archiveDir || './data/snapshots';
+    this.indexPath = path.join(this.archiveDir, 'index.json');
+    this.index = null;
+    this.dirty = false;
+  }
+
+  async load() {
+    try {
+      this.index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read snapshot index ${this.indexPath}: ${error.message}`);
+      }
+      this.index = { version: 1, pages: {} };
+    }
+    return this.index;
+  }
+
+  async ensureLoaded() {
+    if (!this.index) {
+      await this.load();
+    }
+  }
+
+  bodyPath(contentHash) {
+    return path.join(this.archiveDir, 'pages', contentHash.slice(0, 2), `${contentHash}.html.gz`);
+  }
+
+  // Store a fetch result ({ url, status, headers, html }) for the requested URL
+  async record(requestedUrl, page, kind) {
+    await this.ensureLoaded();
+
+    const contentHash = crypto.createHash('sha256').update(page.html).digest('hex');
+    const bodyPath = this.bodyPath(contentHash);
+
+    try {
+      await fs.access(bodyPath);
+    } catch {
+      await fs.mkdir(path.dirname(bodyPath), { recursive: true });
+      await fs.writeFile(bodyPath, await gzip(page.html));
+    }
+
+    const url = canonicalizeUrl(requestedUrl) || requestedUrl;
+    const snapshot = {
+      fetchedAt: new Date().toISOString(),
+      requestedUrl,
+      finalUrl: page.url,
+      status: page.status,
+      headers: page.headers,
+      contentHash,
+      kind
+    };
+
+    this.index.pages[url] = [...(this.index.pages[url] || []), snapshot];
+    this.dirty = true;
+    return snapshot;
+  }
+
+  async save() {
+    if (!this.dirty) return;
+
+    // Write to a temporary file first so an interrupted save keeps the old index
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.index, null, 2), 'utf8');
+    await fs.rename(tempPath, this.indexPath);
+    this.dirty = false;
+
+    logger.info(`Saved snapshot index with ${Object.keys(this.index.pages).length} pages to ${this.indexPath}`);
+  }
+
+  async readBody(contentHash) {
+    return (await gunzip(await fs.readFile(this.bodyPath(contentHash)))).toString('utf8');
+  }
+
+  // The most recent snapshot of every URL of the given kind
+  async getLatestSnapshots(kind) {
+    await this.ensureLoaded();
+
+    return Object.entries(this.index.pages)
+      .map(([url, snapshots]) => ({ url, ...snapshots[snapshots.length - 1] }))
+      .filter(snapshot => !kind || snapshot.kind === kind);
+  }
+}
+
+export { SnapshotArchive };
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { normalizeForComparison } from '../utils/text-normalizer.js';
+
+// Query parameters that never change which page is served
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// Listing, archive and navigation pages that are not interviews themselves
+const LISTING_PAGE_PATTERNS = [
+  /\/interviews\/?$/i,
+  /\/interviews\/page\/\d+\/?$/i,
+  /\/(category|tag|tags|archive|search)(\/|$)/i,
+  /^\/(en\/[a-z]{2}\/?)?$/i
+];
+
+const MIN_CONTENT_LENGTH = 100;
+
+function canonicalizeUrl(url) {
+  try {
+    const urlObj = new URL(url.trim());
+    urlObj.protocol = 'https:';
+    urlObj.hostname = urlObj.hostname.toLowerCase();
+    urlObj.hash = '';
+
+    const params = [...urlObj.searchParams.entries()]
+      .filter(([key]) => !TRACKING_PARAMS.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    urlObj.search = new URLSearchParams(params).toString();
+
+    if (urlObj.pathname.length > 1) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+    }
+
+    return urlObj.href;
+  } catch {
+    return null;
+  }
+}
+
+function isListingPage(url) {
+  try {
+    const urlObj = new URL(url);
+    return LISTING_PAGE_PATTERNS.some(pattern => pattern.test(urlObj.pathname)) ||
+      urlObj.searchParams.has('page');
+  } catch {
+    return false;
+  }
+}
+
+// Hash of the text with case, punctuation and whitespace ignored, so texts
+// that differ only in formatting hash the same
+function contentHash(text) {
+  return crypto.createHash('sha256').update(normalizeForComparison(text)).digest('hex');
+}
+
+// Canonicalize and deduplicate raw interview entries. Returns the entries to
+// keep (with their original index) and a report of what was dropped and why.
+function normalizeCorpus(data, options = {}) {
+  const cleanContent = options.cleanContent || (text => text);
+  const minContentLength = options.minContentLength ?? MIN_CONTENT_LENGTH;
+  const validateEntry = options.validateEntry || (() => null);
+  const dropped = [];
+  const drop = (index, url, reason, detail) => dropped.push({ index, url: url || null, reason, detail });
+
+  // Pass 1: validate fields, canonicalize URLs, reject listing pages
+  const byUrl = new Map();
+  data.forEach((entry, index) => {
+    if (!entry || !entry.url || !entry.text) {
+      drop(index, entry?.url, 'missing-field', 'Entry has no url or text');
+      return;
+    }
+
+    const validationError = validateEntry(entry);
+    if (validationError) {
+      drop(index, entry.url, 'invalid-entry', validationError);
+      return;
+    }
+
+    const url = canonicalizeUrl(entry.url);
+    if (!url) {
+      drop(index, entry.url, 'invalid-url', `Could not parse URL "${entry.url}"`);
+      return;
+    }
+
+    if (isListingPage(url)) {
+      drop(index, url, 'listing-page', 'URL is a listing or navigation page');
+      return;
+    }
+
+    if (entry.retiredAt) {
+      drop(index, url, 'retired', `Page was removed from the source site (detected ${entry.retiredAt})`);
+      return;
+    }
+
+    if (!byUrl.has(url)) {
+      byUrl.set(url, []);
+    }
+    byUrl.get(url).push({ index, entry });
+  });
+
+  // Pass 2: merge entries sharing a URL, keeping the longest text
+  const merged = [];
+  for (const [url, duplicates] of byUrl) {
+    const kept = duplicates.reduce((best, candidate) =>
+      candidate.entry.text.length > best.entry.text.length ? candidate : best
+    );
+
+    for (const duplicate of duplicates) {
+      if (duplicate !== kept) {
+        drop(duplicate.index, url, 'duplicate-url', 'Merged into the longest entry with this URL');
+      }
+    }
+
+    merged.push({
+      index: kept.index,
+      url,
+      entry: Object.assign({}, ...duplicates.map(duplicate => duplicate.entry), kept.entry)
+    });
+  }
+  merged.sort((a, b) => a.index - b.index);
+
+  // Pass 3: clean content, drop short texts and near-identical texts
+  const seenHashes = new Map();
+  const entries = [];
+  for (const item of merged) {
+    const content = cleanContent(item.entry.text);
+
+    if (content.length <= minContentLength) {
+      drop(item.index, item.url, 'too-short', `Content is ${content.length} characters`);
+      continue;
+    }
+
+    const hash = contentHash(content);
+    if (seenHashes.has(hash)) {
+      drop(item.index, item.url, 'duplicate-content', `Same text as ${seenHashes.get(hash)}`);
+      continue;
+    }
+    seenHashes.set(hash, item.url);
+
+    entries.push({ ...item, content, contentHash: hash });
+  }
+
+  dropped.sort((a, b) => a.index - b.index);
+
+  const reasons = {};
+  for (const { reason } of dropped) {
+    reasons[reason] = (reasons[reason] || 0) + 1;
+  }
+
+  return {
+    entries,
+    report: {
+      total: data.length,
+      kept: entries.length,
+      dropped,
+      reasons
+    }
+  };
+}
+
+export { normalizeCorpus, canonicalizeUrl, isListingPage, contentHash, LISTING_PAGE_PATTERNS };
@@ -0,0 +1,113 @@
+import { normalizeText } from '../utils/text-normalizer.js';
+import { normalizeCorpus } from './corpus-normalizer.js';
+import { validateInterviewEntry } from './interview-schema.js';
+import { loadInterviewSource } from './loaders/index.js';
+
+const COOKIE_BANNER = /\b(we use cookies|this (web)?site uses cookies|cookie (policy|settings|preferences)|accept (all )?cookies)\b/i;
+const HTML_MARKUP = /<\/?(div|span|p|br|a|script|style|img)\b[^>]*>/i;
+const TRUNCATION_MARKERS = /(\.\.\.|…|\bread more|\bcontinue reading|\bsubscribe( now)?|\bsign in to read)\s*$/i;
+const TERMINAL_PUNCTUATION = /[.!?"”’)\]]$/;
+
+// Boilerplate detection: word shingles that recur across many entries
+const SHINGLE_SIZE = 12;
+const BOILERPLATE_MIN_SHARE = 0.2;
+const BOILERPLATE_MIN_ENTRIES = 3;
+
+function getShingles(content) {
+  const words = content.toLowerCase().split(/\s+/).filter(word => word.length > 0);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+function findBoilerplate(entries) {
+  const counts = new Map();
+  const shinglesByEntry = entries.map(entry => {
+    const shingles = getShingles(entry.content);
+    shingles.forEach(shingle => counts.set(shingle, (counts.get(shingle) || 0) + 1));
+    return shingles;
+  });
+
+  const threshold = Math.max(BOILERPLATE_MIN_ENTRIES, Math.ceil(entries.length * BOILERPLATE_MIN_SHARE));
+  const boilerplate = new Set([...counts].filter(([, count]) => count >= threshold).map(([shingle]) => shingle));
+
+  return shinglesByEntry.map(shingles => [...shingles].filter(shingle => boilerplate.has(shingle)).length);
+}
+
+// Check the corpus sources against the interview schema. Every rejected entry
+// is an error; suspicious content is a warning.
+async function validateCorpus(sources) {
+  const issues = [];
+  const data = [];
+  const origins = [];
+  const sourceSummaries = [];
+
+  for (const source of sources) {
+    try {
+      const { schemaVersion, entries } = await loadInterviewSource(source);
+      entries.forEach((entry, index) => {
+        data.push(entry);
+        origins.push({ source, index });
+      });
+      sourceSummaries.push({ source, schemaVersion, entries: entries.length });
+    } catch (error) {
+      issues.push({ source, index: null, url: null, severity: 'error', code: 'unreadable-source', message: error.message });
+      sourceSummaries.push({ source, schemaVersion: null, entries: 0 });
+    }
+  }
+
+  const { entries, report } = normalizeCorpus(data, {
+    cleanContent: normalizeText,
+    validateEntry: validateInterviewEntry
+  });
+
+  // Retired entries are dropped on purpose, so they are only worth a warning
+  for (const { index, url, reason, detail } of report.dropped) {
+    const severity = reason === 'retired' ? 'warning' : 'error';
+    issues.push({ ...origins[index], url, severity, code: reason, message: detail });
+  }
+
+  const boilerplateCounts = findBoilerplate(entries);
+  const warn = (item, code, message) =>
+    issues.push({ ...origins[item.index], url: item.url, severity: 'warning', code, message });
+
+  entries.forEach((item, i) => {
+    if (COOKIE_BANNER.test(item.content)) {
+      warn(item, 'cookie-banner', 'Text contains cookie banner wording');
+    }
+
+    if (HTML_MARKUP.test(item.content)) {
+      warn(item, 'html-markup', 'Text contains HTML tags');
+    }
+
+    if (boilerplateCounts[i] > 0) {
+      warn(item, 'boilerplate', `Text shares ${boilerplateCounts[i]} ${SHINGLE_SIZE}-word runs with many other entries (navigation or footer text?)`);
+    }
+
+    if (item.entry.change) {
+      warn(item, 'changed', `Page changed on the source site (detected ${item.entry.change.detectedAt}); review and remove "change"`);
+    }
+
+    const ending = item.content.slice(-40);
+    if (TRUNCATION_MARKERS.test(item.content) || !TERMINAL_PUNCTUATION.test(item.content)) {
+      warn(item, 'truncated', `Text looks truncated: "…${ending.replace(/\s+/g, ' ')}"`);
+    }
+  });
+
+  issues.sort((a, b) => a.source.localeCompare(b.source) || (a.index ?? -1) - (b.index ?? -1));
+
+  return {
+    sources: sourceSummaries,
+    issues,
+    summary: {
+      entries: data.length,
+      valid: entries.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    }
+  };
+}
+
+export { validateCorpus };
@@ -1,41 +1,42 @@
-import fs from 'fs/promises';
+import fs from 'fs';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { normalizeText } from '../utils/text-normalizer.js';
+import { createSelectionStrategy } from './selection-strategies.js';
+import { normalizeCorpus } from './corpus-normalizer.js';
+import { segmentInterview, findTurnForText } from './speaker-segmenter.js';
+import { validateInterviewEntry } from './interview-schema.js';
+import { loadInterviewSource } from './loaders/index.js';
+import { SearchIndex } from './search-index.js';
 
 class InterviewReader {
   constructor(options = {}) {
     this.filePath = options.interviewsFilePath || options.filePath || path.join(process.cwd(), 'data', 'interviews.json');
+    // Several sources (JSON, JSON Lines, CSV files or Markdown folders) are combined into one corpus
+    this.sources = options.interviewSources?.length > 0 ? options.interviewSources : [this.filePath];
+    this.history = options.history || null;
+    this.selectionStrategy = createSelectionStrategy(options.selection);
+    this.subjectName = options.subjectName || 'Rick Owens';
     this.interviews = null;
+    this.loadReport = null;
     this.lastLoadTime = null;
+    this.watchDebounceMs = options.watchDebounceMs ?? 500;
+    this.watchers = [];
+    this.reloadTimer = null;
+    this.searchIndex = null;
   }
 
   async loadInterviews() {
     try {
-      logger.info(`Loading interviews from ${this.filePath}`);
+      logger.info(`Loading interviews from ${this.sources.join(', ')}`);
 
-      const fileContent = await fs.readFile(this.filePath, 'utf8');
-      const data = JSON.parse(fileContent);
-
-      // Expect array format: [{"url": "...", "text": "..."}]
-      if (!Array.isArray(data)) {
-        throw new Error('Interview data must be an array of objects');
-      }
-
-      // Validate and process each interview
-      this.interviews = data
-        .filter(interview => interview && interview.url && interview.text)
-        .map((interview, index) => ({
-          id: `interview-${index + 1}`,
-          url: interview.url,
-          title: this.extractTitle(interview.text, interview.url),
-          content: this.cleanContent(interview.text),
-          source: this.extractSource(interview.url),
-          loadedAt: new Date().toISOString()
-        }))
-        .filter(interview => interview.content.length > 100); // Filter out very short content
+      const { interviews, report } = await this.buildCorpus();
 
+      this.interviews = interviews;
+      this.loadReport = report;
       this.lastLoadTime = Date.now();
 
+      this.logLoadReport(report);
       logger.info(`Loaded ${this.interviews.length} interviews successfully`);
       return this.interviews;
 
@@ -45,6 +46,174 @@ class InterviewReader {
     }
   }
 
+  // Read, validate and normalize all sources without touching the current corpus
+  async buildCorpus() {
+    const { data, origins } = await this.readSources();
+
+    // Canonicalize URLs, merge duplicates and drop listing pages and near-identical texts
+    const { entries, report } = normalizeCorpus(data, {
+      cleanContent: text => this.cleanContent(text),
+      validateEntry: validateInterviewEntry
+    });
+
+    // Report dropped entries by source file and position within it
+    report.dropped = report.dropped.map(item => ({ ...item, ...origins[item.index] }));
+
+    const interviews = entries.map((item, index) => {
+      const segmentation = segmentInterview(item.content, { subjectName: this.subjectName });
+
+      return {
+        id: `interview-${index + 1}`,
+        url: item.url,
+        title: item.entry.title || this.extractTitle(item.entry.text, item.url),
+        publication: item.entry.publication || null,
+        publishedAt: item.entry.publishedAt || null,
+        interviewer: item.entry.interviewer || null,
+        language: item.entry.language || null,
+        tags: item.entry.tags || [],
+        content: item.content,
+        contentHash: item.contentHash,
+        turns: segmentation.turns,
+        segmentation: segmentation.method,
+        source: this.extractSource(item.url),
+        loadedAt: new Date().toISOString()
+      };
+    });
+
+    return { interviews, report };
+  }
+
+  // Read every source and concatenate the raw entries, remembering where each came from
+  async readSources() {
+    const data = [];
+    const origins = [];
+
+    for (const sourcePath of this.sources) {
+      const { schemaVersion, entries } = await loadInterviewSource(sourcePath);
+      logger.debug(`Read ${entries.length} entries from ${sourcePath} (schema version ${schemaVersion})`);
+
+      entries.forEach((entry, index) => {
+        data.push(entry);
+        origins.push({ source: sourcePath, index });
+      });
+    }
+
+    return { data, origins };
+  }
+
+  // Watch the source files and hot-reload the corpus when they change
+  watch() {
+    if (this.watchers.length > 0) {
+      return;
+    }
+
+    for (const sourcePath of this.sources) {
+      const isDirectory = fs.statSync(sourcePath).isDirectory();
+      // Watch the parent directory of files, since editors often replace a file rather than write to it
+      const watchPath = isDirectory ? sourcePath : path.dirname(sourcePath);
+      const fileName = isDirectory ? null : path.basename(sourcePath);
+
+      const watcher = fs.watch(watchPath, (eventType, changedName) => {
+        if (fileName && changedName && changedName !== fileName) {
+          return;
+        }
+        this.scheduleReload();
+      });
+      watcher.on('error', error => logger.error(`Stopped watching ${sourcePath}:`, error));
+      this.watchers.push(watcher);
+    }
+
+    logger.info(`Watching ${this.sources.join(', ')} for changes`);
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  isWatching() {
+    return this.watchers.length > 0;
+  }
+
+  // Editors emit several events per save; wait for them to settle before reloading
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.hotReload().catch(error => logger.error('Hot reload failed:', error));
+    }, this.watchDebounceMs);
+  }
+
+  // Re-parse and validate the sources, then swap the new corpus in. An invalid
+  // change leaves the last good corpus in use.
+  async hotReload() {
+    logger.info('Interview sources changed, reloading...');
+
+    let candidate;
+    try {
+      candidate = await this.buildCorpus();
+      if (candidate.interviews.length === 0) {
+        throw new Error('No usable interviews in the changed sources');
+      }
+    } catch (error) {
+      logger.error(`Rejected interview source change, keeping the last good corpus (${this.interviews?.length || 0} interviews):`, error);
+      return false;
+    }
+
+    const diff = this.diffCorpus(this.interviews || [], candidate.interviews);
+
+    // Swap everything in one synchronous step so readers never see a mix of old and new data
+    this.interviews = candidate.interviews;
+    this.loadReport = candidate.report;
+    this.lastLoadTime = Date.now();
+
+    this.logLoadReport(candidate.report);
+    this.logCorpusDiff(diff);
+    logger.info(`Reloaded ${this.interviews.length} interviews`);
+    return true;
+  }
+
+  diffCorpus(previous, next) {
+    const previousByUrl = new Map(previous.map(interview => [interview.url, interview]));
+    const nextByUrl = new Map(next.map(interview => [interview.url, interview]));
+
+    return {
+      added: next.filter(interview => !previousByUrl.has(interview.url)),
+      removed: previous.filter(interview => !nextByUrl.has(interview.url)),
+      changed: next.filter(interview =>
+        previousByUrl.has(interview.url) && previousByUrl.get(interview.url).contentHash !== interview.contentHash
+      )
+    };
+  }
+
+  logCorpusDiff({ added, removed, changed }) {
+    logger.info(`Corpus diff: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+    added.forEach(interview => logger.info(`  + ${interview.url}`));
+    removed.forEach(interview => logger.info(`  - ${interview.url}`));
+    changed.forEach(interview => logger.info(`  ~ ${interview.url}`));
+  }
+
+  logLoadReport(report) {
+    if (report.dropped.length === 0) {
+      return;
+    }
+
+    const summary = Object.entries(report.reasons)
+      .map(([reason, count]) => `${reason}: ${count}`)
+      .join(', ');
+    logger.info(`Dropped ${report.dropped.length} of ${report.total} entries (${summary})`);
+
+    for (const { source, index, url, reason, detail } of report.dropped) {
+      logger.info(`  ${source} entry ${index} [${reason}] ${url || '(no url)'} - ${detail}`);
+    }
+  }
+
+  getLoadReport() {
+    return this.loadReport;
+  }
+
   extractTitle(text, url) {
     // Try to extract title from the beginning of the text
     const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
@@ -82,42 +251,71 @@ class InterviewReader {
   }
 
   cleanContent(content) {
-    return content
-      .replace(/\s+/g, ' ') // Replace multiple whitespace with single space
-      .replace(/\n\s*\n/g, '\n\n') // Clean up paragraph breaks
-      .replace(/[^\x20-\x7E\n]/g, '') // Remove non-printable characters except newlines
-      .trim();
+    return normalizeText(content);
   }
 
-  async getRandomInterview() {
+  // Load interviews if not already loaded, or if stale when not watching the sources
+  async ensureLoaded() {
+    const isStale = !this.isWatching() && Date.now() - this.lastLoadTime > 300000; // Reload after 5 minutes
+    if (!this.interviews || isStale) {
+      await this.loadInterviews();
+    }
+  }
+
+  // Text spoken by the subject only; the full content when no turns were found
+  getSubjectContent(interview) {
+    if (!interview.turns || interview.segmentation === 'none') {
+      return interview.content;
+    }
+
+    return interview.turns
+      .filter(turn => turn.speaker === 'subject')
+      .map(turn => turn.text)
+      .join('\n\n');
+  }
+
+  // The turn a quote was taken from, or null when it cannot be located
+  findQuoteTurn(interview, text) {
+    return findTurnForText(interview.turns || [], text);
+  }
+
+  async selectInterview() {
     try {
-      // Load interviews if not already loaded or if stale
-      if (!this.interviews || (Date.now() - this.lastLoadTime > 300000)) { // Reload after 5 minutes
-        await this.loadInterviews();
-      }
+      await this.ensureLoaded();
 
       if (!this.interviews || this.interviews.length === 0) {
         throw new Error('No interviews available');
       }
 
-      const randomInterview = this.interviews[Math.floor(Math.random() * this.interviews.length)];
+      // Skip anything sent recently when a send history is attached
+      const candidates = this.history
+        ? await this.history.filterEligible(this.interviews)
+        : this.interviews;
 
-      logger.info(`Selected random interview: "${randomInterview.title}" from ${randomInterview.source}`);
-      logger.debug(`Interview content length: ${randomInterview.content.length} characters`);
+      const selectedInterview = this.selectionStrategy.select(candidates, {
+        interviews: this.interviews,
+        history: this.history
+      });
 
-      return randomInterview;
+      logger.info(`Selected interview (${this.selectionStrategy.name}): "${selectedInterview.title}" from ${selectedInterview.source}`);
+      logger.debug(`Interview content length: ${selectedInterview.content.length} characters`);
+
+      return selectedInterview;
 
     } catch (error) {
-      logger.error('Failed to get random interview:', error);
+      logger.error('Failed to select interview:', error);
       throw error;
     }
   }
 
+  // Legacy method for backwards compatibility
+  async getRandomInterview() {
+    return await this.selectInterview();
+  }
+
   async getAllInterviews() {
     try {
-      if (!this.interviews || (Date.now() - this.lastLoadTime > 300000)) {
-        await this.loadInterviews();
-      }
+      await this.ensureLoaded();
 
       return this.interviews || [];
     } catch (error) {
@@ -126,6 +324,25 @@ class InterviewReader {
     }
   }
 
+  // Full-text search with phrase and boolean queries, e.g. '"black hole" AND (paris OR -milan)'
+  async search(query, options = {}) {
+    try {
+      await this.ensureLoaded();
+
+      // Rebuild the index whenever a (hot) reload replaced the corpus
+      if (!this.searchIndex || this.searchIndex.interviews !== this.interviews) {
+        const startTime = Date.now();
+        this.searchIndex = new SearchIndex(this.interviews);
+        logger.debug(`Built search index over ${this.interviews.length} interviews in ${Date.now() - startTime}ms`);
+      }
+
+      return this.searchIndex.search(query, options);
+    } catch (error) {
+      logger.error(`Failed to search interviews for "${query}":`, error);
+      throw error;
+    }
+  }
+
   async getInterviewById(id) {
     try {
       const interviews = await this.getAllInterviews();
@@ -153,6 +370,9 @@ class InterviewReader {
       total: this.interviews.length,
       averageLength: Math.round(totalLength / this.interviews.length),
       sources: [...new Set(this.interviews.map(i => i.source))],
+      dropped: this.loadReport ? this.loadReport.reasons : {},
+      segmented: this.interviews.filter(i => i.segmentation !== 'none').length,
+      watching: this.isWatching(),
       lastLoaded: new Date(this.lastLoadTime).toISOString()
     };
   }
@@ -160,6 +380,7 @@ class InterviewReader {
   // Reload interviews from file (useful for development)
   async reload() {
     this.interviews = null;
+    this.loadReport = null;
     this.lastLoadTime = null;
     return await this.loadInterviews();
   }
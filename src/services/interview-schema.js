@@ -0,0 +1,68 @@
+import Joi from 'joi';
+
+const CURRENT_SCHEMA_VERSION = 2;
+
+// Dates may be partial: "2007", "2007-06" or "2007-06-05"
+const PARTIAL_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+// One interview entry. Version 1 files only have url and text; version 2 adds
+// the optional metadata fields.
+const interviewEntrySchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  text: Joi.string().required(),
+  title: Joi.string().trim().min(1).max(300).optional(),
+  publication: Joi.string().trim().min(1).max(200).optional(),
+  publishedAt: Joi.string().pattern(PARTIAL_DATE).optional()
+    .messages({ 'string.pattern.base': '"publishedAt" must be a YYYY, YYYY-MM or YYYY-MM-DD date' }),
+  interviewer: Joi.string().trim().min(1).max(200).optional(),
+  language: Joi.string().pattern(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/).optional()
+    .messages({ 'string.pattern.base': '"language" must be a BCP 47 tag such as "en" or "fr-FR"' }),
+  tags: Joi.array().items(Joi.string().trim().min(1)).optional(),
+  scrapedAt: Joi.string().isoDate().optional(),
+  // How the scraper found the text and how sure it was
+  extraction: Joi.object({
+    method: Joi.string().valid('site-rule', 'readability', 'body').required(),
+    confidence: Joi.number().min(0).max(1).required(),
+    // Hash of the extracted text, what --refresh compares a page against
+    contentHash: Joi.string().hex().length(64).optional()
+  }).optional(),
+  // HTTP cache validators from the last fetch, for conditional re-checks
+  etag: Joi.string().optional(),
+  lastModified: Joi.string().optional(),
+  // Set when the page changed on the source site; remove once reviewed
+  change: Joi.object({
+    detectedAt: Joi.string().isoDate().required(),
+    diff: Joi.string().allow('').required()
+  }).optional(),
+  // Set when the page is gone from the source site; retired entries are not used
+  retiredAt: Joi.string().isoDate().optional(),
+  // Edited by hand; the scrape command never overwrites curated entries
+  curated: Joi.boolean().optional()
+}).unknown(true);
+
+const interviewFileSchema = Joi.object({
+  schemaVersion: Joi.number().integer().valid(CURRENT_SCHEMA_VERSION).required(),
+  interviews: Joi.array().required()
+}).unknown(true);
+
+// Accept both the legacy array format and the versioned object format
+function parseInterviewFile(data) {
+  if (Array.isArray(data)) {
+    return { schemaVersion: 1, entries: data };
+  }
+
+  const { error } = interviewFileSchema.validate(data);
+  if (error) {
+    throw new Error(`Interview data must be an array or a { schemaVersion: ${CURRENT_SCHEMA_VERSION}, interviews: [...] } object: ${error.message}`);
+  }
+
+  return { schemaVersion: data.schemaVersion, entries: data.interviews };
+}
+
+// Returns an error message for an invalid entry, or null when it is valid
+function validateInterviewEntry(entry) {
+  const { error } = interviewEntrySchema.validate(entry, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message).join('; ') : null;
+}
+
+export { parseInterviewFile, validateInterviewEntry, interviewEntrySchema, CURRENT_SCHEMA_VERSION };
@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+
+// CSV with a header row naming the fields (url, text, title, publication, ...).
+// Tags are separated by semicolons within their cell.
+async function loadCsvSource(filePath) {
+  const fileContent = await fs.readFile(filePath, 'utf8');
+  const [header, ...rows] = parseCsv(fileContent.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return { schemaVersion: 2, entries: [] };
+  }
+
+  const columns = header.map(column => column.trim());
+  const entries = rows
+    .filter(row => row.some(cell => cell.trim().length > 0))
+    .map(row => {
+      const entry = {};
+      columns.forEach((column, index) => {
+        const value = (row[index] || '').trim();
+        if (value.length === 0) return;
+
+        entry[column] = column === 'tags'
+          ? value.split(';').map(tag => tag.trim()).filter(tag => tag.length > 0)
+          : value;
+      });
+      return entry;
+    });
+
+  return { schemaVersion: 2, entries };
+}
+
+// RFC 4180: quoted cells may contain commas, newlines and doubled quotes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted cell in CSV');
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export { loadCsvSource, parseCsv };
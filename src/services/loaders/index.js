@@ -0,0 +1,32 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { loadJsonSource } from './json-loader.js';
+import { loadJsonLinesSource } from './jsonl-loader.js';
+import { loadMarkdownSource } from './markdown-loader.js';
+import { loadCsvSource } from './csv-loader.js';
+
+const loadersByExtension = {
+  '.json': loadJsonSource,
+  '.jsonl': loadJsonLinesSource,
+  '.ndjson': loadJsonLinesSource,
+  '.csv': loadCsvSource
+};
+
+// Load one interview source, picking the loader from the path: directories are
+// read as Markdown folders, files by their extension
+async function loadInterviewSource(sourcePath) {
+  const stats = await fs.stat(sourcePath);
+
+  if (stats.isDirectory()) {
+    return await loadMarkdownSource(sourcePath);
+  }
+
+  const loader = loadersByExtension[path.extname(sourcePath).toLowerCase()];
+  if (!loader) {
+    throw new Error(`Unsupported interview source format: ${sourcePath}`);
+  }
+
+  return await loader(sourcePath);
+}
+
+export { loadInterviewSource };
@@ -0,0 +1,10 @@
+import fs from 'fs/promises';
+import { parseInterviewFile } from '../interview-schema.js';
+
+// A single JSON file: the legacy array or the versioned { schemaVersion, interviews } object
+async function loadJsonSource(filePath) {
+  const fileContent = await fs.readFile(filePath, 'utf8');
+  return parseInterviewFile(JSON.parse(fileContent));
+}
+
+export { loadJsonSource };
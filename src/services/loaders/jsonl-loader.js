@@ -0,0 +1,23 @@
+import fs from 'fs/promises';
+
+// JSON Lines: one interview object per line, blank lines ignored
+async function loadJsonLinesSource(filePath) {
+  const fileContent = await fs.readFile(filePath, 'utf8');
+  const entries = [];
+
+  fileContent.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim().length === 0) {
+      return;
+    }
+
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}: ${error.message}`);
+    }
+  });
+
+  return { schemaVersion: 2, entries };
+}
+
+export { loadJsonLinesSource };
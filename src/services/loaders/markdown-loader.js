@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// A directory of Markdown files, one interview per file. Metadata goes in a
+// front-matter block at the top of the file:
+//
+//   ---
+//   url: https://example.com/interview
+//   publication: Dazed
+//   tags: [paris, furniture]
+//   ---
+//   Interview text...
+async function loadMarkdownSource(dirPath) {
+  const fileNames = (await fs.readdir(dirPath))
+    .filter(fileName => /\.(md|markdown)$/i.test(fileName))
+    .sort();
+
+  const entries = [];
+  for (const fileName of fileNames) {
+    const fileContent = await fs.readFile(path.join(dirPath, fileName), 'utf8');
+    const { attributes, body } = parseFrontMatter(fileContent, fileName);
+    entries.push({ ...attributes, text: body.trim() });
+  }
+
+  return { schemaVersion: 2, entries };
+}
+
+// Minimal front-matter parser: "key: value" pairs, quoted strings, inline
+// [a, b] lists and block "- item" lists
+function parseFrontMatter(content, fileName = 'file') {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { attributes: {}, body: content };
+  }
+
+  const attributes = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (line.trim().length === 0 || line.trim().startsWith('#')) {
+      return;
+    }
+
+    // Items may be indented under their key or not, as YAML allows both
+    const listItem = line.match(/^\s*-\s+(.*)$/);
+    if (listItem && listKey) {
+      if (!Array.isArray(attributes[listKey])) {
+        attributes[listKey] = [];
+      }
+      attributes[listKey].push(parseScalar(listItem[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Invalid front matter on line ${index + 2} of ${fileName}: ${line}`);
+    }
+
+    const [, key, rawValue] = pair;
+    listKey = null;
+
+    if (rawValue === '') {
+      // A list if items follow; a key with no value and no items is left unset
+      listKey = key;
+    } else if (rawValue.startsWith('[') && rawValue.endsWith(']')) {
+      attributes[key] = rawValue.slice(1, -1).split(',')
+        .map(item => parseScalar(item))
+        .filter(item => item !== '');
+    } else {
+      attributes[key] = parseScalar(rawValue);
+    }
+  });
+
+  return { attributes, body: content.slice(match[0].length) };
+}
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  if (/^(".*"|'.*')$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+export { loadMarkdownSource, parseFrontMatter };
@@ -0,0 +1,256 @@
+// In-memory inverted index over the interview corpus with phrase and boolean
+// queries:
+//
+//   black "brutal world"        both (AND is implicit)
+//   paris OR milan              either
+//   furniture -concrete         furniture but not concrete (also NOT concrete)
+//   (paris OR milan) AND lamy   grouping
+
+const SNIPPET_RADIUS = 80;
+
+// Lowercase and strip diacritics so "cliche" finds "cliché"
+function normalizeTerm(term) {
+  return term.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Split a query string into words, quoted phrases, parentheses and operators
+function lexQuery(query) {
+  const tokens = [];
+  const pattern = /\s*(?:(-)?"([^"]*)"?|(\()|(\))|(-)?([^\s()"]+))/gy;
+  let match;
+
+  while (pattern.lastIndex < query.length && (match = pattern.exec(query)) !== null) {
+    const [, phraseNegated, phrase, open, close, wordNegated, word] = match;
+
+    if (phrase !== undefined) {
+      if (phraseNegated) tokens.push({ type: 'NOT' });
+      tokens.push({ type: 'PHRASE', terms: tokenize(phrase).map(token => token.term) });
+    } else if (open) {
+      tokens.push({ type: '(' });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (word !== undefined) {
+      if (['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word });
+      } else {
+        if (wordNegated) tokens.push({ type: 'NOT' });
+        // A word like "don't" tokenizes to several terms; treat it as a phrase
+        const terms = tokenize(word).map(token => token.term);
+        if (terms.length > 0) {
+          tokens.push(terms.length === 1 ? { type: 'TERM', term: terms[0] } : { type: 'PHRASE', terms });
+        }
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+//   or := and (OR and)* ; and := unary ((AND)? unary)* ; unary := NOT unary | primary
+function parseQuery(query) {
+  const tokens = lexQuery(query);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek()?.type === 'OR') {
+      next();
+      node = { type: 'OR', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      if (peek().type === 'AND') next();
+      node = { type: 'AND', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'NOT') {
+      next();
+      return { type: 'NOT', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw new Error(`Unexpected end of query: ${query}`);
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      if (next()?.type !== ')') {
+        throw new Error(`Missing closing parenthesis in query: ${query}`);
+      }
+      return node;
+    }
+    if (token.type === 'TERM' || token.type === 'PHRASE') {
+      return token;
+    }
+    throw new Error(`Unexpected "${token.type}" in query: ${query}`);
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Search query is empty');
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().type}" in query: ${query}`);
+  }
+  return ast;
+}
+
+class SearchIndex {
+  constructor(interviews) {
+    this.interviews = interviews;
+    this.documents = [];
+    this.postings = new Map(); // term -> Map(docId -> positions)
+
+    interviews.forEach((interview, docId) => {
+      const tokens = tokenize(interview.content);
+      this.documents.push({ interview, tokens });
+
+      tokens.forEach((token, position) => {
+        if (!this.postings.has(token.term)) {
+          this.postings.set(token.term, new Map());
+        }
+        const docs = this.postings.get(token.term);
+        if (!docs.has(docId)) {
+          docs.set(docId, []);
+        }
+        docs.get(docId).push(position);
+      });
+    });
+  }
+
+  // Positions where the phrase starts in each matching document
+  matchPhrase(terms) {
+    const matches = new Map();
+    if (terms.length === 0) return matches;
+
+    const first = this.postings.get(terms[0]);
+    if (!first) return matches;
+
+    for (const [docId, positions] of first) {
+      const starts = positions.filter(start => terms.every((term, offset) =>
+        this.postings.get(term)?.get(docId)?.includes(start + offset)
+      ));
+      if (starts.length > 0) {
+        matches.set(docId, starts);
+      }
+    }
+
+    return matches;
+  }
+
+  // Evaluate the AST to a set of document ids, collecting the positive hits for scoring and snippets
+  evaluate(node, hits) {
+    switch (node.type) {
+      case 'TERM':
+      case 'PHRASE': {
+        const terms = node.type === 'TERM' ? [node.term] : node.terms;
+        const matches = this.matchPhrase(terms);
+        hits.push({ terms, matches });
+        return new Set(matches.keys());
+      }
+      case 'AND': {
+        const right = this.evaluate(node.right, hits);
+        return new Set([...this.evaluate(node.left, hits)].filter(docId => right.has(docId)));
+      }
+      case 'OR':
+        return new Set([...this.evaluate(node.left, hits), ...this.evaluate(node.right, hits)]);
+      case 'NOT': {
+        // Hits under NOT never contribute to score or snippets
+        const excluded = this.evaluate(node.operand, []);
+        return new Set(this.documents.map((_, docId) => docId).filter(docId => !excluded.has(docId)));
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+
+  search(query, options = {}) {
+    const limit = options.limit ?? 10;
+    const hits = [];
+    const docIds = this.evaluate(parseQuery(query), hits);
+
+    const results = [...docIds].map(docId => {
+      const { interview, tokens } = this.documents[docId];
+
+      // TF-IDF over the positive terms and phrases found in this document
+      let score = 0;
+      const spans = [];
+      for (const { terms, matches } of hits) {
+        const starts = matches.get(docId);
+        if (!starts) continue;
+
+        const idf = Math.log(1 + this.documents.length / matches.size);
+        score += (starts.length / Math.max(tokens.length, 1)) * 1000 * idf;
+
+        for (const start of starts) {
+          spans.push({ start: tokens[start].start, end: tokens[start + terms.length - 1].end });
+        }
+      }
+
+      return {
+        interview,
+        score: Math.round(score * 100) / 100,
+        matches: spans.length,
+        snippets: this.buildSnippets(interview.content, spans, options.snippets ?? 3)
+      };
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return { total: results.length, results: results.slice(0, limit) };
+  }
+
+  // Up to maxSnippets non-overlapping excerpts around the matches, with matches in [brackets]
+  buildSnippets(content, spans, maxSnippets) {
+    const sorted = [...spans].sort((a, b) => a.start - b.start);
+    const snippets = [];
+    let lastEnd = -1;
+
+    for (const span of sorted) {
+      if (snippets.length >= maxSnippets) break;
+      if (span.start < lastEnd) continue;
+
+      const start = Math.max(0, span.start - SNIPPET_RADIUS);
+      const end = Math.min(content.length, span.end + SNIPPET_RADIUS);
+
+      const inWindow = sorted.filter(other => other.start >= start && other.end <= end && other.start >= span.start);
+      let text = '';
+      let cursor = start;
+      for (const match of inWindow) {
+        if (match.start < cursor) continue;
+        text += `${content.slice(cursor, match.start)}[${content.slice(match.start, match.end)}]`;
+        cursor = match.end;
+      }
+      text += content.slice(cursor, end);
+
+      snippets.push(`${start > 0 ? '…' : ''}${text.replace(/\s+/g, ' ').trim()}${end < content.length ? '…' : ''}`);
+      lastEnd = end;
+    }
+
+    return snippets;
+  }
+}
+
+export { SearchIndex, parseQuery };
@@ -0,0 +1,136 @@
+import { logger } from '../utils/logger.js';
+
+// Uniform random pick (the original behaviour)
+class RandomStrategy {
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+  }
+
+  select(candidates) {
+    return candidates[Math.floor(this.random() * candidates.length)];
+  }
+}
+
+// Pick the interview that was sent longest ago; never-sent interviews come first
+class LeastRecentlyUsedStrategy {
+  select(candidates, context = {}) {
+    const lastSentAt = interview => context.history?.getLastSentAt(interview.url) || '';
+
+    return candidates.reduce((best, interview) =>
+      lastSentAt(interview) < lastSentAt(best) ? interview : best
+    );
+  }
+}
+
+// Walk the corpus in file order, continuing after the last interview sent
+class RoundRobinStrategy {
+  select(candidates, context = {}) {
+    const interviews = context.interviews || candidates;
+    const lastSend = context.history?.data?.sends.at(-1);
+    const lastIndex = lastSend ? interviews.findIndex(interview => interview.url === lastSend.url) : -1;
+
+    const eligibleUrls = new Set(candidates.map(interview => interview.url));
+    for (let offset = 1; offset <= interviews.length; offset++) {
+      const interview = interviews[(lastIndex + offset) % interviews.length];
+      if (eligibleUrls.has(interview.url)) {
+        return interview;
+      }
+    }
+
+    return candidates[0];
+  }
+}
+
+// Random pick weighted by content length or by per-source weights
+class WeightedStrategy {
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.weightBy = options.weightBy || 'length';
+    this.sourceWeights = options.sourceWeights || {};
+  }
+
+  getWeight(interview) {
+    if (this.weightBy === 'source') {
+      return this.sourceWeights[interview.source] ?? 1;
+    }
+    return interview.content.length;
+  }
+
+  select(candidates) {
+    const weights = candidates.map(interview => Math.max(0, this.getWeight(interview)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    if (total === 0) {
+      return candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    let threshold = this.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      threshold -= weights[i];
+      if (threshold < 0) {
+        return candidates[i];
+      }
+    }
+
+    return candidates[candidates.length - 1];
+  }
+}
+
+// Uniform pick driven by a PRNG seeded with the seed and the day, so a day's
+// pick can be reproduced (given the same corpus and send history)
+class SeededStrategy {
+  constructor(options = {}) {
+    this.seed = options.seed || 'owensquote';
+    this.date = options.date || null;
+  }
+
+  select(candidates) {
+    const day = this.date || new Date().toISOString().slice(0, 10);
+    const seed = `${this.seed}:${day}`;
+    const random = createSeededRandom(seed);
+
+    logger.info(`Seeded selection using seed "${seed}"`);
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+}
+
+const strategies = {
+  random: RandomStrategy,
+  lru: LeastRecentlyUsedStrategy,
+  'round-robin': RoundRobinStrategy,
+  weighted: WeightedStrategy,
+  seeded: SeededStrategy
+};
+
+function createSelectionStrategy(options = {}) {
+  const name = options.strategy || 'random';
+  const Strategy = strategies[name];
+
+  if (!Strategy) {
+    throw new Error(`Unsupported selection strategy: ${name}`);
+  }
+
+  const strategy = new Strategy(options);
+  strategy.name = name;
+  return strategy;
+}
+
+// mulberry32 PRNG seeded from a string hash (xmur3)
+function createSeededRandom(seedText) {
+  let h = 1779033703 ^ seedText.length;
+  for (let i = 0; i < seedText.length; i++) {
+    h = Math.imul(h ^ seedText.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export { createSelectionStrategy, createSeededRandom };
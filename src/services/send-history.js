@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { normalizeForComparison } from '../utils/text-normalizer.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SendHistory {
+  constructor(options = {}) {
+    this.filePath = options.historyFilePath || options.filePath || path.join(process.cwd(), 'data', 'send-history.json');
+    this.cooldownDays = options.cooldownDays ?? 30;
+    this.data = null;
+  }
+
+  async load() {
+    try {
+      const fileContent = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(fileContent);
+
+      if (!data || !Array.isArray(data.sends)) {
+        throw new Error('Send history must be an object with a "sends" array');
+      }
+
+      this.data = {
+        cycleStartedAt: data.cycleStartedAt || null,
+        sends: data.sends
+      };
+
+      logger.debug(`Loaded ${this.data.sends.length} send history entries from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load send history:', error);
+        throw error;
+      }
+
+      logger.info(`No send history found at ${this.filePath}, starting a new one`);
+      this.data = { cycleStartedAt: null, sends: [] };
+    }
+
+    return this.data;
+  }
+
+  async save() {
+    // Write to a temporary file first so a crash never leaves a truncated history behind
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async ensureLoaded() {
+    if (!this.data) {
+      await this.load();
+    }
+    return this.data;
+  }
+
+  async recordSend({ interview, quotes, provider, promptVersion, messageId }) {
+    await this.ensureLoaded();
+
+    const entry = {
+      sentAt: new Date().toISOString(),
+      interviewId: interview.id,
+      url: interview.url,
+      title: interview.title,
+      quotes: quotes.map(quote => quote.text),
+      provider,
+      promptVersion,
+      messageId
+    };
+
+    this.data.sends.push(entry);
+    await this.save();
+
+    logger.info(`Recorded send of "${interview.title}" (${messageId}) in history`);
+    return entry;
+  }
+
+  isWithinCooldown(sentAt, now = Date.now()) {
+    return now - new Date(sentAt).getTime() < this.cooldownDays * DAY_MS;
+  }
+
+  getLastSentAt(url) {
+    let lastSentAt = null;
+    for (const send of this.data?.sends || []) {
+      if (send.url === url && (!lastSentAt || send.sentAt > lastSentAt)) {
+        lastSentAt = send.sentAt;
+      }
+    }
+    return lastSentAt;
+  }
+
+  isInterviewCoolingDown(interview, now = Date.now()) {
+    const lastSentAt = this.getLastSentAt(interview.url);
+    return lastSentAt !== null && this.isWithinCooldown(lastSentAt, now);
+  }
+
+  isQuoteCoolingDown(text, now = Date.now()) {
+    const key = normalizeForComparison(text);
+    return (this.data?.sends || []).some(send =>
+      this.isWithinCooldown(send.sentAt, now) &&
+      send.quotes.some(sentQuote => normalizeForComparison(sentQuote) === key)
+    );
+  }
+
+  getCycleUrls() {
+    const cycleStartedAt = this.data?.cycleStartedAt;
+    return new Set(
+      (this.data?.sends || [])
+        .filter(send => !cycleStartedAt || send.sentAt >= cycleStartedAt)
+        .map(send => send.url)
+    );
+  }
+
+  async startNewCycle() {
+    await this.ensureLoaded();
+    this.data.cycleStartedAt = new Date().toISOString();
+    await this.save();
+    logger.info('All interviews have been sent in this cycle, starting a new cycle');
+  }
+
+  // Return the interviews that may be sent now: not yet sent in the current
+  // cycle and outside the cool-down window. Starts a new cycle when the
+  // corpus is used up.
+  async filterEligible(interviews) {
+    await this.ensureLoaded();
+
+    const now = Date.now();
+    let cycleUrls = this.getCycleUrls();
+    let eligible = interviews.filter(interview =>
+      !cycleUrls.has(interview.url) && !this.isInterviewCoolingDown(interview, now)
+    );
+
+    if (eligible.length === 0) {
+      await this.startNewCycle();
+      eligible = interviews.filter(interview => !this.isInterviewCoolingDown(interview, now));
+    }
+
+    if (eligible.length === 0) {
+      // The cool-down is longer than the corpus lasts; fall back to whatever was sent longest ago
+      const leastRecent = [...interviews].sort((a, b) =>
+        (this.getLastSentAt(a.url) || '').localeCompare(this.getLastSentAt(b.url) || '')
+      )[0];
+      logger.warn(`Every interview is within the ${this.cooldownDays}-day cool-down, using the least recently sent one`);
+      eligible = leastRecent ? [leastRecent] : [];
+    }
+
+    logger.debug(`${eligible.length} of ${interviews.length} interviews are eligible for sending`);
+    return eligible;
+  }
+
+  getStats() {
+    return {
+      totalSends: this.data?.sends.length || 0,
+      cycleStartedAt: this.data?.cycleStartedAt || null,
+      sentThisCycle: this.getCycleUrls().size,
+      cooldownDays: this.cooldownDays
+    };
+  }
+}
+
+export { SendHistory };
@@ -0,0 +1,150 @@
+import { normalizeForComparison } from '../utils/text-normalizer.js';
+
+// Split interview text into interviewer and subject turns. Heuristics are
+// tried in order; the first one that finds both speakers wins.
+
+const SENTENCE_END = String.raw`(?:^|\n|(?<=[.!?"”’)]\s+))`;
+const BOLD_OPEN = String.raw`(?:\*\*|__|<b>|<strong>)?`;
+const BOLD_CLOSE = String.raw`(?:\*\*|__|</b>|</strong>)?`;
+
+// "Q: ..." / "A: ..." / "Question: ..." / "Answer: ..."
+const QA_MARKER = new RegExp(
+  `${SENTENCE_END}${BOLD_OPEN}(Q|A|Question|Answer)${BOLD_CLOSE}\\s*[:.]${BOLD_CLOSE}\\s+`,
+  'g'
+);
+
+// "Rick Owens: ...", "**RO:** ...", "<b>Interview Magazine</b>: ..."
+const NAME_MARKER = new RegExp(
+  `${SENTENCE_END}${BOLD_OPEN}([A-Z][\\p{L}.'’-]*(?: [A-Z][\\p{L}.'’-]*){0,2})${BOLD_CLOSE}\\s*:${BOLD_CLOSE}\\s+`,
+  'gu'
+);
+
+function getSubjectAliases(subjectName) {
+  const parts = subjectName.split(/\s+/).filter(part => part.length > 0);
+  const initials = parts.map(part => part[0]).join('');
+  return new Set([subjectName, parts[0], parts[parts.length - 1], initials]
+    .map(alias => alias.toLowerCase()));
+}
+
+// Cut the text at each marker match; text before the first marker is narration
+function splitAtMarkers(content, regex, classify) {
+  const matches = [...content.matchAll(regex)];
+  const turns = [];
+
+  const pushTurn = (speaker, text) => {
+    const trimmed = text.trim();
+    if (trimmed.length > 0) {
+      turns.push({ speaker, text: trimmed });
+    }
+  };
+
+  if (matches.length > 0) {
+    pushTurn('narration', content.slice(0, matches[0].index));
+  }
+
+  matches.forEach((match, i) => {
+    const speaker = classify(match[1]);
+    const end = i + 1 < matches.length ? matches[i + 1].index : content.length;
+    // Keep the label in the text when it is not a speaker
+    const start = speaker === null ? match.index : match.index + match[0].length;
+    pushTurn(speaker, content.slice(start, end));
+  });
+
+  return turns;
+}
+
+function segmentByQaMarkers(content) {
+  return splitAtMarkers(content, QA_MARKER, label =>
+    /^q/i.test(label) ? 'interviewer' : 'subject'
+  );
+}
+
+function segmentByNameLabels(content, subjectName) {
+  const aliases = getSubjectAliases(subjectName);
+
+  // Labels have to recur to count as speakers, so "Note: ..." in prose is ignored
+  const counts = new Map();
+  for (const match of content.matchAll(NAME_MARKER)) {
+    counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+  }
+  const speakerLabels = new Set([...counts].filter(([, count]) => count >= 2).map(([label]) => label));
+
+  if (speakerLabels.size < 2) {
+    return [];
+  }
+
+  const turns = splitAtMarkers(content, NAME_MARKER, label => {
+    if (!speakerLabels.has(label)) return null;
+    return aliases.has(label.toLowerCase()) ? 'subject' : 'interviewer';
+  });
+
+  // Unrecognised labels were prose after all; fold them into the previous turn
+  return turns.reduce((merged, turn) => {
+    if (turn.speaker === null && merged.length > 0) {
+      merged[merged.length - 1].text += ` ${turn.text}`;
+    } else {
+      merged.push({ ...turn, speaker: turn.speaker || 'narration' });
+    }
+    return merged;
+  }, []);
+}
+
+// Paragraphs ending in a question mark are questions, the ones after them answers
+function segmentByLinePattern(content) {
+  const paragraphs = content.split(/\n+/).map(line => line.trim()).filter(line => line.length > 0);
+  const questions = paragraphs.filter(line => line.endsWith('?'));
+
+  if (paragraphs.length < 4 || questions.length < 2 || questions.length > paragraphs.length / 2) {
+    return [];
+  }
+
+  const turns = [];
+  let seenQuestion = false;
+  for (const paragraph of paragraphs) {
+    const isQuestion = paragraph.endsWith('?');
+    seenQuestion = seenQuestion || isQuestion;
+    const speaker = isQuestion ? 'interviewer' : (seenQuestion ? 'subject' : 'narration');
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.speaker === speaker) {
+      previous.text += `\n\n${paragraph}`;
+    } else {
+      turns.push({ speaker, text: paragraph });
+    }
+  }
+
+  return turns;
+}
+
+function hasBothSpeakers(turns) {
+  return turns.some(turn => turn.speaker === 'interviewer') &&
+    turns.some(turn => turn.speaker === 'subject');
+}
+
+function segmentInterview(content, options = {}) {
+  const subjectName = options.subjectName || 'Rick Owens';
+  const heuristics = [
+    ['qa-markers', () => segmentByQaMarkers(content)],
+    ['name-labels', () => segmentByNameLabels(content, subjectName)],
+    ['line-pattern', () => segmentByLinePattern(content)]
+  ];
+
+  for (const [method, segment] of heuristics) {
+    const turns = segment();
+    if (hasBothSpeakers(turns)) {
+      return { method, turns: turns.map((turn, index) => ({ index, ...turn })) };
+    }
+  }
+
+  // No structure found: treat the whole text as a single turn of unknown speaker
+  return { method: 'none', turns: [{ index: 0, speaker: 'unknown', text: content }] };
+}
+
+// Quotes match turns despite case and punctuation changes
+function findTurnForText(turns, text) {
+  const needle = normalizeForComparison(text);
+  if (!needle) return null;
+  return turns.find(turn => normalizeForComparison(turn.text).includes(needle)) || null;
+}
+
+export { segmentInterview, findTurnForText };
@@ -0,0 +1,43 @@
+// Timing helpers shared by everything that retries remote calls: the crawl
+// controller and the AI providers.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000;
+  return Number.isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+// Exponential backoff with up to 25% jitter, so clients that failed together
+// do not retry together
+function backoffDelay(attempt, baseDelayMs) {
+  return baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25);
+}
+
+// Run task(signal) with a deadline. On timeout the signal is aborted and the
+// returned promise rejects with an error whose code is 'timeout', whether or
+// not the task honours the signal.
+async function withTimeout(task, timeoutMs, label = 'Request') {
+  const controller = new AbortController();
+  let timer;
+
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'timeout';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([task(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export { sleep, parseRetryAfter, backoffDelay, withTimeout };
@@ -0,0 +1,169 @@
+// Token-aware splitting of long texts into overlapping chunks. Tokens are
+// counted with the model's tokenizer when the caller has one, and estimated
+// otherwise: English prose averages about four characters per token across
+// the tokenizers the providers use, and chunk budgets keep a margin for the
+// difference.
+
+const CHARS_PER_TOKEN = 4;
+
+// Tokenizers are trained on mostly lowercase text, so all-caps text breaks
+// into far shorter tokens
+const UPPERCASE_CHARS_PER_TOKEN = 2;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const uppercase = (text.match(/\p{Lu}/gu) || []).length;
+  const charsPerToken = uppercase > letters / 2 ? UPPERCASE_CHARS_PER_TOKEN : CHARS_PER_TOKEN;
+  return Math.ceil(text.length / charsPerToken);
+}
+
+// Runs of characters of at most maxTokens each, for a single word (a URL,
+// say) too long to fit anywhere
+function splitCharacters(word, maxTokens, countTokens) {
+  const pieces = [];
+  let piece = '';
+  for (const char of word) {
+    if (piece && countTokens(piece + char) > maxTokens) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+// Paragraphs, with any paragraph over the budget broken into sentences, any
+// sentence still over it broken into runs of words and, as a last resort, any
+// word still over it broken into runs of characters. Each unit records the
+// separator that joins it to the previous one so chunks can be joined back
+// faithfully.
+function splitUnits(text, maxTokens, countTokens) {
+  const units = [];
+  let separator = '\n\n';
+  const push = part => {
+    units.push({ text: part, tokens: countTokens(part), separator });
+    separator = ' ';
+  };
+
+  for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+    separator = '\n\n';
+    if (countTokens(paragraph) <= maxTokens) {
+      push(paragraph);
+      continue;
+    }
+
+    for (const sentence of paragraph.split(/(?<=[.!?…])\s+/)) {
+      if (countTokens(sentence) <= maxTokens) {
+        push(sentence);
+        continue;
+      }
+
+      let run = '';
+      for (const word of sentence.split(/\s+/)) {
+        if (countTokens(word) > maxTokens) {
+          if (run) push(run);
+          run = '';
+          splitCharacters(word, maxTokens, countTokens).forEach((piece, index) => {
+            if (index > 0) separator = '';
+            push(piece);
+          });
+          continue;
+        }
+        if (run && countTokens(`${run} ${word}`) > maxTokens) {
+          push(run);
+          run = '';
+        }
+        run = run ? `${run} ${word}` : word;
+      }
+      if (run) push(run);
+    }
+  }
+
+  return units;
+}
+
+function joinUnits(units) {
+  return units.map((unit, index) => (index === 0 ? '' : unit.separator) + unit.text).join('');
+}
+
+// The end of a text within budget tokens: whole words where possible, the
+// last characters of a word longer than the budget otherwise
+function tailOf(text, budget, countTokens) {
+  let tail = '';
+  for (const start of [...text.matchAll(/\S+/g)].map(match => match.index).reverse()) {
+    const candidate = text.slice(start);
+    if (countTokens(candidate) > budget) break;
+    tail = candidate;
+  }
+  if (tail) return tail;
+
+  const chars = [...text];
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const candidate = chars.slice(i).join('');
+    if (countTokens(candidate) > budget) break;
+    tail = candidate;
+  }
+  return tail;
+}
+
+// Units from the end of a chunk to repeat at the start of the next one:
+// whole trailing units within budget, or the tail of the last unit when it is
+// longer than the budget on its own
+function carryOver(units, budget, countTokens) {
+  if (budget <= 0) return [];
+
+  const carry = [];
+  let carryTokens = 0;
+  for (let i = units.length - 1; i >= 0 && carryTokens + units[i].tokens <= budget; i--) {
+    carry.unshift(units[i]);
+    carryTokens += units[i].tokens;
+  }
+  if (carry.length > 0) return carry;
+
+  const tail = tailOf(units[units.length - 1].text, budget, countTokens);
+  return tail ? [{ text: tail, tokens: countTokens(tail), separator: ' ' }] : [];
+}
+
+// Split text into chunks of at most maxTokens, as counted by
+// options.countTokens (estimated by default). Each chunk after the first
+// repeats up to overlapTokens from the end of the previous one, so a passage
+// cut at a boundary is whole in at least one chunk.
+function chunkText(text, options = {}) {
+  const maxTokens = Math.max(1, options.maxTokens || 2000);
+  const overlapTokens = Math.min(options.overlapTokens ?? 100, Math.floor(maxTokens / 2));
+  const countTokens = options.countTokens || estimateTokens;
+
+  if (!text || !text.trim()) return [];
+  if (countTokens(text) <= maxTokens) return [text.trim()];
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let carried = 0;
+
+  for (const unit of splitUnits(text, maxTokens, countTokens)) {
+    if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+      chunks.push(joinUnits(current));
+
+      // Carry the tail of this chunk into the next one, shortened to leave
+      // room for the next unit
+      current = carryOver(current, Math.min(overlapTokens, maxTokens - unit.tokens), countTokens);
+      currentTokens = current.reduce((sum, carriedUnit) => sum + carriedUnit.tokens, 0);
+      carried = current.length;
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+
+  if (current.length > carried) {
+    chunks.push(joinUnits(current));
+  }
+
+  return chunks;
+}
+
+export { chunkText, estimateTokens };
@@ -0,0 +1,46 @@
+// Paragraph-level diff between two texts. Interviews run to a few hundred
+// paragraphs at most, so a plain longest-common-subsequence table is cheap.
+
+function splitParagraphs(text) {
+  return text.split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Returns the removed and added paragraphs in reading order
+function diffParagraphs(oldText, newText) {
+  const a = splitParagraphs(oldText);
+  const b = splitParagraphs(newText);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', text: a[i++] });
+    } else {
+      changes.push({ type: 'added', text: b[j++] });
+    }
+  }
+
+  return changes;
+}
+
+// "- old paragraph" / "+ new paragraph" lines, each cut to maxLength characters
+function formatDiff(changes, options = {}) {
+  const maxLength = options.maxLength ?? 200;
+  return changes
+    .map(({ type, text }) => `${type === 'added' ? '+' : '-'} ${text.length > maxLength ? `${text.slice(0, maxLength)}…` : text}`)
+    .join('\n');
+}
+
+export { diffParagraphs, formatDiff };
@@ -0,0 +1,59 @@
+import { decodeHTML, escapeUTF8 } from 'entities';
+
+// UTF-8 typographic punctuation that was decoded as Windows-1252 somewhere upstream
+const MOJIBAKE = [
+  ['\u00e2\u20ac\u2122', '\u2019'], // right single quote
+  ['\u00e2\u20ac\u02dc', '\u2018'], // left single quote
+  ['\u00e2\u20ac\u0153', '\u201c'], // left double quote
+  ['\u00e2\u20ac\u009d', '\u201d'], // right double quote
+  ['\u00e2\u20ac\u201d', '\u2014'], // em dash
+  ['\u00e2\u20ac\u201c', '\u2013'], // en dash
+  ['\u00e2\u20ac\u00a6', '\u2026'], // ellipsis
+  ['\u00c2\u00a0', '\u00a0'] // non-breaking space
+];
+
+// C0/C1 controls (except tab and newline), soft hyphens, zero-width characters,
+// byte order marks, replacement characters and private-use code points
+const GARBAGE_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u00AD\u200B-\u200D\u2060\uFEFF\uFFFD\uE000-\uF8FF]/g;
+
+// Non-breaking and other fixed-width spaces
+const UNICODE_SPACES = /[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g;
+
+// Normalize interview text while keeping paragraph breaks, accented letters
+// and typographic punctuation (curly quotes, dashes, ellipses)
+function normalizeText(content) {
+  if (!content) return '';
+
+  let text = decodeHTML(content);
+
+  for (const [broken, fixed] of MOJIBAKE) {
+    text = text.split(broken).join(fixed);
+  }
+
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?|[\u2028\u2029]/g, '\n') // Unify line endings
+    .replace(GARBAGE_CHARS, '')
+    .replace(UNICODE_SPACES, ' ')
+    .replace(/[ \t]+/g, ' ') // Collapse spaces within lines
+    .replace(/ *\n */g, '\n') // Trim each line
+    .replace(/\n{3,}/g, '\n\n') // Clean up paragraph breaks
+    .trim();
+}
+
+// Comparison key for matching text that may differ in case, punctuation or
+// spacing: lowercased letters and digits separated by single spaces
+function normalizeForComparison(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Text for interpolation into HTML, such as the emails. Only markup
+// characters are escaped; accented letters and typography stay as they are.
+function escapeHtml(value) {
+  return escapeUTF8(String(value ?? ''));
+}
+
+export { normalizeText, normalizeForComparison, escapeHtml };
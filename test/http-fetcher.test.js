@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HttpFetcher } from '../src/scraper/fetchers/http-fetcher.js';
+
+const PAGE = '<html><head><title>Interview</title></head><body><p>Black is always right.</p></body></html>';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    switch (request.url) {
+      case '/interview':
+        if (request.headers['if-none-match'] === '"v1"') {
+          response.writeHead(304, { ETag: '"v1"' });
+          response.end();
+          return;
+        }
+        response.writeHead(200, {
+          'Content-Type': 'text/html; charset=utf-8',
+          'ETag': '"v1"',
+          'Last-Modified': 'Wed, 01 May 2024 10:00:00 GMT',
+          'X-User-Agent': request.headers['user-agent']
+        });
+        response.end(PAGE);
+        return;
+      case '/moved':
+        response.writeHead(301, { Location: '/interview' });
+        response.end();
+        return;
+      case '/busy':
+        response.writeHead(429, { 'Retry-After': '7' });
+        response.end('slow down');
+        return;
+      case '/slow':
+        setTimeout(() => response.end(PAGE), 2000);
+        return;
+      default:
+        response.writeHead(404);
+        response.end('not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('returns the status, headers and body of a page', async () => {
+  const page = await new HttpFetcher().fetch(`${baseUrl}/interview`);
+
+  assert.equal(page.status, 200);
+  assert.equal(page.url, `${baseUrl}/interview`);
+  assert.equal(page.headers.etag, '"v1"');
+  assert.equal(page.headers['last-modified'], 'Wed, 01 May 2024 10:00:00 GMT');
+  assert.match(page.headers['x-user-agent'], /Mozilla/);
+  assert.equal(page.html, PAGE);
+});
+
+test('follows redirects and reports the final URL', async () => {
+  const page = await new HttpFetcher().fetch(`${baseUrl}/moved`);
+
+  assert.equal(page.status, 200);
+  assert.equal(page.url, `${baseUrl}/interview`);
+  assert.equal(page.html, PAGE);
+});
+
+test('sends request headers and returns an empty body for 304', async () => {
+  const page = await new HttpFetcher().fetch(`${baseUrl}/interview`, { headers: { 'If-None-Match': '"v1"' } });
+
+  assert.equal(page.status, 304);
+  assert.equal(page.html, '');
+});
+
+test('throws with the status and headers of an error response', async () => {
+  const fetcher = new HttpFetcher();
+
+  await assert.rejects(fetcher.fetch(`${baseUrl}/gone`), error => error.status === 404 && /HTTP 404/.test(error.message));
+  await assert.rejects(fetcher.fetch(`${baseUrl}/busy`), error => error.status === 429 && error.headers['retry-after'] === '7');
+});
+
+test('gives up after the timeout', async () => {
+  await assert.rejects(new HttpFetcher({ timeout: 200 }).fetch(`${baseUrl}/slow`), /Could not fetch/);
+});
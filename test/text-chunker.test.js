@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, estimateTokens } from '../src/utils/text-chunker.js';
+
+// Numbered words, so any shared run of text between chunks is easy to spot
+function paragraph(start, words) {
+  return Array.from({ length: words }, (_, i) => `word${start + i}`).join(' ') + '.';
+}
+
+test('consecutive chunks share text when paragraphs are longer than the overlap', () => {
+  const text = [paragraph(0, 120), paragraph(1000, 120), paragraph(2000, 120)].join('\n\n');
+  const chunks = chunkText(text, { maxTokens: 300, overlapTokens: 40 });
+
+  assert.ok(chunks.length > 1);
+  for (let i = 1; i < chunks.length; i++) {
+    const firstWord = chunks[i].split(/\s+/)[0];
+    assert.ok(chunks[i - 1].includes(firstWord), `chunk ${i} does not start with text from chunk ${i - 1}`);
+    assert.ok(chunks[i].split(/\s+/).length > 1);
+  }
+});
+
+test('the overlap stays within overlapTokens', () => {
+  const text = [paragraph(0, 200), paragraph(1000, 200)].join('\n\n');
+  const [first, second] = chunkText(text, { maxTokens: 400, overlapTokens: 30 });
+
+  const shared = second.slice(0, second.indexOf('word1000')).trim();
+  assert.ok(first.endsWith(shared));
+  assert.ok(estimateTokens(shared) <= 30);
+});
+
+test('no chunk exceeds maxTokens, even for a word longer than a chunk', () => {
+  const url = `https://example.com/${'x'.repeat(3000)}`;
+  const text = `${paragraph(0, 50)}\n\n${url}\n\n${paragraph(1000, 50)}`;
+  const chunks = chunkText(text, { maxTokens: 200, overlapTokens: 20 });
+
+  for (const chunk of chunks) {
+    assert.ok(estimateTokens(chunk) <= 200, `chunk of ${estimateTokens(chunk)} tokens`);
+  }
+  assert.ok(chunks.join('').replace(/\s+/g, '').includes(url));
+});
+
+test('a custom token counter sets the budget', () => {
+  const countWords = text => text.split(/\s+/).filter(Boolean).length;
+  const text = [paragraph(0, 30), paragraph(100, 30), paragraph(200, 30)].join('\n\n');
+  const chunks = chunkText(text, { maxTokens: 40, overlapTokens: 5, countTokens: countWords });
+
+  for (const chunk of chunks) {
+    assert.ok(countWords(chunk) <= 40);
+  }
+});
+
+test('text within the budget is one chunk', () => {
+  assert.deepEqual(chunkText('  Short text.  ', { maxTokens: 100 }), ['Short text.']);
+  assert.deepEqual(chunkText('', { maxTokens: 100 }), []);
+});